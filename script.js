@@ -3,8 +3,1118 @@ const CONSTANTS = {
     MOBILE_BREAKPOINT: 768,
     TOAST_DURATION: 4000,
     ANIMATION_DURATION: 300,
-    BOOKING_SIMULATION_DELAY: 2000,
-    CONTACT_SIMULATION_DELAY: 1500
+    API_TIMEOUT: 10000,
+    API_MAX_RETRIES: 2,
+    API_RETRY_BASE_DELAY: 500,
+    SLOT_INTERVAL_MINUTES: 30,
+    CHANGE_CUTOFF_MINUTES: 120,
+    MAX_GROUP_GUESTS: 4,
+    MAX_SERIES_OCCURRENCES: 12,
+    STAFF_SESSION_MINUTES: 480,
+    DRAFT_SAVE_DELAY: 800,
+    DRAFT_MAX_AGE_HOURS: 24,
+    MIN_FORM_FILL_SECONDS: 3,
+    DUPLICATE_MESSAGE_HOURS: 24,
+    MAX_ATTACHMENTS: 3,
+    MAX_ATTACHMENT_SOURCE_MB: 20,
+    MAX_ATTACHMENT_KB: 400,
+    ATTACHMENT_MAX_DIMENSION: 1600,
+    GALLERY_PAGE_SIZE: 6,
+    LIGHTBOX_MAX_ZOOM: 4,
+    LIGHTBOX_DOUBLE_TAP_ZOOM: 2.5,
+    LIGHTBOX_SWIPE_DISTANCE: 60,
+    LIGHTBOX_VELOCITY_WINDOW: 80,
+    COMPARISON_KEY_STEP: 5,
+    SLIDESHOW_INTERVALS: [3, 5, 8],
+    SLIDESHOW_DEFAULT_INTERVAL: 5
+};
+
+// ===== BUSINESS CONFIGURATION =====
+// Booking lifecycle: labels and the moves staff can make from each status
+const BOOKING_STATUS_LABELS = {
+    pending: 'Awaiting confirmation',
+    rescheduled: 'Rescheduled – awaiting confirmation',
+    confirmed: 'Confirmed',
+    completed: 'Completed',
+    'no-show': 'No-show',
+    cancelled: 'Cancelled'
+};
+
+const BOOKING_STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    rescheduled: ['confirmed', 'cancelled'],
+    confirmed: ['completed', 'no-show', 'cancelled'],
+    completed: [],
+    'no-show': [],
+    cancelled: []
+};
+
+// SHA-256 of the staff dashboard PIN (default "2580" — replace before going live).
+// This only keeps casual visitors out; real protection needs a backend login.
+const STAFF_PIN_HASH = 'ed946f65d2c785d90e827c5ffd879ce3b49c68d4c88013074176a7e73bc58bcf';
+
+// Shop details used in exported calendar events
+const BUSINESS_INFO = {
+    name: 'Cut & Crown Barber',
+    address: '123 Main St, Your City 400001',
+    phone: '+91 0000000000',
+    domain: 'cutandcrown.example',
+    timeZone: 'Asia/Kolkata'
+};
+
+// Opening hours per weekday (0 = Sunday), matching the hours listed on every page
+const BUSINESS_HOURS = {
+    0: null,
+    1: { open: '09:00', close: '20:00' },
+    2: { open: '09:00', close: '20:00' },
+    3: { open: '09:00', close: '20:00' },
+    4: { open: '09:00', close: '20:00' },
+    5: { open: '09:00', close: '20:00' },
+    6: { open: '09:00', close: '20:00' }
+};
+
+// Bookable services; duration (minutes) uses the upper end of the ranges on services.html
+const SERVICES = {
+    haircut: { name: 'Classic Haircut', price: 399, duration: 60 },
+    beard: { name: 'Beard Trim', price: 199, duration: 45 },
+    shave: { name: 'Hot Towel Shave', price: 499, duration: 75 },
+    combo: { name: 'Haircut + Beard', price: 549, duration: 90 },
+    deluxe: { name: 'Deluxe Package', price: 799, duration: 150 }
+};
+
+// Add-ons from services.html that can go with any main service; durations are the extra chair time
+const ADD_ONS = {
+    eyebrow: { name: 'Eyebrow Trim', price: 99, duration: 10 },
+    mustache: { name: 'Mustache Trim', price: 79, duration: 10 },
+    washStyle: { name: 'Hair Wash & Style', price: 149, duration: 20 },
+    scalp: { name: 'Scalp Treatment', price: 199, duration: 30 }
+};
+
+// Barbers from about.html with their weekly hours (clipped to shop hours) and dates off
+const BARBERS = {
+    arjun: {
+        name: 'Arjun Patel',
+        hours: {
+            1: { open: '09:00', close: '20:00' },
+            2: { open: '09:00', close: '17:00' },
+            3: { open: '09:00', close: '17:00' },
+            4: { open: '09:00', close: '17:00' },
+            5: { open: '09:00', close: '17:00' },
+            6: { open: '09:00', close: '17:00' }
+        },
+        daysOff: []
+    },
+    rohan: {
+        name: 'Rohan Kumar',
+        hours: {
+            2: { open: '12:00', close: '20:00' },
+            3: { open: '12:00', close: '20:00' },
+            4: { open: '12:00', close: '20:00' },
+            5: { open: '12:00', close: '20:00' },
+            6: { open: '12:00', close: '20:00' }
+        },
+        daysOff: []
+    }
+};
+
+// Submissions allowed from one device: at most `max` within any `minutes` window
+const SUBMISSION_RATE_LIMITS = {
+    booking: [{ minutes: 10, max: 3 }, { minutes: 24 * 60, max: 10 }],
+    message: [{ minutes: 10, max: 3 }, { minutes: 24 * 60, max: 8 }],
+    newsletter: [{ minutes: 10, max: 2 }, { minutes: 24 * 60, max: 5 }]
+};
+
+// Version of the privacy notice recorded with each consent, and how many days records are
+// kept: bookings count from the appointment date, everything else from when it was saved.
+// Newsletter signups stay until the subscriber deletes them from the "My data" panel.
+const PRIVACY_POLICY = {
+    version: '2026-10',
+    retentionDays: {
+        bookings: 365,
+        messages: 180,
+        consents: 730,
+        performance: 30
+    }
+};
+
+// Contact form subjects that reveal extra fields (the data-subject sections in contact.html),
+// and how those fields are stored on the message. Other subjects send the plain message.
+const CONTACT_SUBJECTS = {
+    appointment: {
+        // The requested slot says most of it
+        messageOptional: true,
+        toRecord: (data) => ({
+            appointment: { service: data.appointmentService, date: data.appointmentDate, time: data.appointmentTime }
+        })
+    },
+    pricing: {
+        // The prices the customer was looking at when they asked
+        toRecord: () => ({
+            pricing: {
+                services: Object.fromEntries(Object.entries(SERVICES).map(([id, service]) => [id, service.price])),
+                addOns: Object.fromEntries(Object.entries(ADD_ONS).map(([id, addOn]) => [id, addOn.price]))
+            }
+        })
+    },
+    feedback: {
+        toRecord: (data) => ({
+            feedback: { rating: Number(data.rating), visitDate: data.visitDate }
+        })
+    }
+};
+
+// Countries offered by the phone picker (India first, as the default). Each has its
+// dialling code, the shape of a valid national number, how to group its digits for
+// display and the trunk prefix dialled at home but dropped after the country code.
+const PHONE_COUNTRIES = {
+    IN: { name: 'India', dialCode: '91', pattern: /^[6-9]\d{9}$/, groups: [5, 5], trunkPrefix: '0', example: '98765 43210' },
+    AU: { name: 'Australia', dialCode: '61', pattern: /^[2-478]\d{8}$/, groups: [3, 3, 3], trunkPrefix: '0', example: '412 345 678' },
+    BD: { name: 'Bangladesh', dialCode: '880', pattern: /^1[3-9]\d{8}$/, groups: [4, 6], trunkPrefix: '0', example: '1812 345678' },
+    CA: { name: 'Canada', dialCode: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, groups: [3, 3, 4], trunkPrefix: '1', example: '416 555 0123' },
+    KW: { name: 'Kuwait', dialCode: '965', pattern: /^[569]\d{7}$/, groups: [4, 4], trunkPrefix: '', example: '5001 2345' },
+    MY: { name: 'Malaysia', dialCode: '60', pattern: /^1\d{8,9}$/, groups: [2, 3, 4], trunkPrefix: '0', example: '12 345 6789' },
+    NP: { name: 'Nepal', dialCode: '977', pattern: /^9[78]\d{8}$/, groups: [3, 3, 4], trunkPrefix: '', example: '984 123 4567' },
+    OM: { name: 'Oman', dialCode: '968', pattern: /^[79]\d{7}$/, groups: [4, 4], trunkPrefix: '', example: '9212 3456' },
+    QA: { name: 'Qatar', dialCode: '974', pattern: /^[3-7]\d{7}$/, groups: [4, 4], trunkPrefix: '', example: '3312 3456' },
+    SA: { name: 'Saudi Arabia', dialCode: '966', pattern: /^5\d{8}$/, groups: [2, 3, 4], trunkPrefix: '0', example: '51 234 5678' },
+    SG: { name: 'Singapore', dialCode: '65', pattern: /^[3689]\d{7}$/, groups: [4, 4], trunkPrefix: '', example: '8123 4567' },
+    LK: { name: 'Sri Lanka', dialCode: '94', pattern: /^7\d{8}$/, groups: [2, 3, 4], trunkPrefix: '0', example: '71 234 5678' },
+    AE: { name: 'United Arab Emirates', dialCode: '971', pattern: /^(?:5\d{8}|[2-4679]\d{7})$/, groups: [2, 3, 4], trunkPrefix: '0', example: '50 123 4567' },
+    GB: { name: 'United Kingdom', dialCode: '44', pattern: /^(?:7\d{9}|[1-3]\d{8,9})$/, groups: [4, 6], trunkPrefix: '0', example: '7400 123456' },
+    US: { name: 'United States', dialCode: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, groups: [3, 3, 4], trunkPrefix: '1', example: '201 555 0123' }
+};
+
+const DEFAULT_PHONE_COUNTRY = 'IN';
+
+// ===== INTERNATIONALIZATION =====
+// Page content is written in English in the markup and tagged for translation:
+//   data-i18n="key"                      text content
+//   data-i18n-html="key"                 trusted markup from the catalog (e.g. a <br>)
+//   data-i18n-attr="attr:key;attr:key"   attributes: placeholder, aria-label, alt, data-msg-*, ...
+//   data-price="399"                     a rupee amount, formatted for the language; with
+//                                        data-i18n it fills the message's {price}
+// Script text goes through i18n.t(key, params). A key missing from a language falls back
+// to English, then to the markup's own text. Plural messages are { one, other } objects
+// picked with Intl.PluralRules on params.count.
+const LANGUAGES = {
+    en: { name: 'English', locale: 'en-IN' },
+    hi: { name: 'हिन्दी', locale: 'hi-IN' }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const MESSAGES = {
+    en: {
+        theme: {
+            switchToDark: 'Switch to dark mode',
+            switchToLight: 'Switch to light mode'
+        },
+        validation: {
+            required: 'This field is required',
+            email: 'Please enter a valid email address',
+            phone: 'Please enter a valid phone number',
+            minLength: 'Please enter at least {param} characters',
+            maxLength: 'Please enter no more than {param} characters',
+            pattern: 'Please use the requested format',
+            min: 'Please enter {param} or more',
+            max: 'Please enter {param} or less',
+            minDate: 'Please choose {param} or later',
+            maxDate: 'Please choose {param} or earlier',
+            weekdays: 'Please choose another day of the week',
+            match: 'This doesn\'t match',
+            after: 'Please choose a later value',
+            default: 'Please check this field'
+        },
+        draft: {
+            booking: 'booking',
+            message: 'message',
+            region: 'Unsent draft',
+            prompt: 'You have an unsent {label} from {when}.',
+            today: 'today at {time}',
+            weekday: '{day} at {time}',
+            restore: 'Restore draft',
+            discard: 'Discard'
+        },
+        spam: {
+            rate: 'You\'ve sent several {items} from this device recently. Please try again in {wait} or call us on {phone}.',
+            items: {
+                booking: 'bookings',
+                message: 'messages',
+                newsletter: 'signups'
+            },
+            minutes: { one: '{count} minute', other: '{count} minutes' },
+            duplicate: 'You\'ve already sent us this message. We\'ll reply soon — no need to send it again.',
+            challenge: 'Please complete the check to show you\'re not a robot, then try again.',
+            tooFast: 'That was quick! Please check your details and send again in a moment.'
+        },
+        attachments: {
+            tooMany: { one: 'You can attach up to {count} photo.', other: 'You can attach up to {count} photos.' },
+            notImage: '"{name}" isn\'t an image. Please choose a photo.',
+            tooBig: '"{name}" is larger than {size} MB. Please choose a smaller photo.',
+            stillTooBig: '"{name}" is still too large after shrinking. Please choose another photo.',
+            unreadable: 'We couldn\'t read "{name}". Please choose a JPEG, PNG or WebP photo.',
+            preparing: 'Preparing…',
+            preparingName: 'Preparing {name}',
+            size: '{name} · {size} KB',
+            remove: 'Remove {name}'
+        },
+        form: {
+            invalid: 'Please correct the errors in the form',
+            error: 'Something went wrong. Please try again or call us directly.',
+            queued: 'You\'re offline, so we\'ve saved your details. They\'ll be sent as soon as you\'re back online.',
+            success: 'Thank you! We\'ve received your details.'
+        },
+        transportErrors: {
+            offline: 'You appear to be offline. Please check your connection and try again.',
+            network: 'We couldn\'t reach our booking system. Please try again in a moment.',
+            timeout: 'The request took too long. Please try again — you won\'t be booked twice.',
+            validation: 'Some details were not accepted. Please check the form and try again.',
+            conflict: 'Sorry, that time was just booked. Please pick another slot.',
+            not_found: 'We couldn\'t find a booking with those details. Please check and try again.',
+            rate_limited: 'Too many attempts. Please wait a minute and try again.',
+            forbidden: 'This action isn\'t allowed. Please call us for help.',
+            server: 'Something went wrong on our side. Please try again or call us directly.',
+            storage: 'We couldn\'t save your details on this device. Please call us to book.',
+            quota: 'This device has run out of storage space for our site. Free up some space or call us to book.',
+            unknown: 'Something went wrong. Please try again or call us directly.'
+        },
+        storage: {
+            quota: 'Your browser is out of storage space for this site, so some things (like form drafts) can\'t be saved.'
+        },
+        status: BOOKING_STATUS_LABELS,
+        times: {
+            selectFirst: 'Select a date and service first',
+            futureDate: 'Please choose a future date',
+            closed: 'Closed on this day',
+            barberOff: '{barber} is off on this day',
+            thisBarber: 'This barber',
+            none: 'No times available on this date',
+            choose: 'Choose a time',
+            unavailable: '{time} ({reason})',
+            reasons: {
+                taken: 'Booked',
+                past: 'Passed',
+                group: 'Not enough chairs',
+                other: 'Unavailable'
+            }
+        },
+        booking: {
+            silent: 'Thank you! We\'ve received your booking request.',
+            queued: 'You\'re offline, so we\'ve saved your booking request. It will be sent as soon as you\'re back online.',
+            guestTitle: 'Guest {number}',
+            repeatPrompt: 'Choose a date, service and time to see your visits',
+            visitUnavailable: '{date} – unavailable',
+            interval: { one: 'week', other: '{count} weeks' },
+            seriesBooked: '{count} visits booked, every {interval}. We\'ll call you at {phone} to confirm.',
+            groupBooked: 'Group booking confirmed for {count} people! We\'ll call you at {phone} to confirm.',
+            booked: 'Booking confirmed with {barber}! We\'ll call you at {phone} to confirm your appointment.',
+            summaryGuest: '{guest}: {item}',
+            summaryAddOn: '+ {item}',
+            groupNote: 'This reference covers all {count} people in your group.',
+            seriesNote: 'This reference covers all {count} visits in your series.',
+            skippedDates: 'These dates were unavailable and were not booked: {dates}.'
+        },
+        manage: {
+            cancelled: 'This booking has been cancelled.',
+            cutoff: 'Changes within 2 hours of your appointment must be made by phone.',
+            anyBarber: 'Any available barber',
+            member: '{name} – {services}, {time}',
+            every: { one: 'Every week', other: 'Every {count} weeks' },
+            seriesPosition: '{every} · visit {position} of {total}',
+            seriesMoved: '{count} visits have been moved to {time}. We\'ll call you to confirm.',
+            moved: 'Your booking has been moved to {time} on {date}. We\'ll call you to confirm.',
+            cannotMove: 'These visits can\'t move to {time}: {dates}. Try another time or change one visit at a time.',
+            confirmCancel: 'Cancel this booking? This cannot be undone.',
+            confirmCancelSeries: 'Cancel all {count} upcoming visits in this series? This cannot be undone.',
+            confirmCancelGroup: 'Cancel this booking for all {count} people? This cannot be undone.',
+            cancelledToast: 'Your booking has been cancelled.'
+        },
+        contact: {
+            success: 'Thank you for your message! We\'ll get back to you within 24 hours.',
+            queued: 'You\'re offline, so we\'ve saved your message. It will be sent as soon as you\'re back online.',
+            messageOptional: 'Anything Else? (Optional)'
+        },
+        newsletter: {
+            success: 'Thanks for subscribing! Look out for our next newsletter.',
+            queued: 'You\'re offline, so we\'ve saved your signup. It will be sent as soon as you\'re back online.'
+        },
+        outbox: {
+            title: 'Offline submissions',
+            dismiss: 'Dismiss',
+            status: {
+                pending: 'Waiting for connection',
+                sent: 'Sent',
+                failed: 'Not accepted – please call us'
+            },
+            sentBooking: 'Back online: your booking request has been sent.',
+            sentMessage: 'Back online: your message has been sent.',
+            failed: 'One of your saved requests could not be sent. Please call us.',
+            booking: 'Booking',
+            bookingAt: '{service} – {date}, {time}',
+            group: 'Group of {count} – {date}, {time}',
+            series: '{count} repeat visits from {date}',
+            messageAbout: 'Message about {subject}',
+            message: 'Contact message',
+            subscriptionFor: 'Newsletter signup – {email}',
+            subscription: 'Newsletter signup',
+            other: 'Submission'
+        },
+        a11y: {
+            navigatedTo: 'Navigated to {page}',
+            error: 'Error: {message}',
+            required: 'required'
+        },
+        privacy: {
+            days: { one: '1 day', other: '{count} days' },
+            keepBookings: 'Bookings: {days} after the appointment',
+            keepMessages: 'Messages: {days}',
+            keepSubscriptions: 'Newsletter signup: until you delete it',
+            keepConsents: 'Consent records: {days}',
+            keepDrafts: 'Unsent form drafts on this device: {hours} hours',
+            keepPerformance: 'Page speed timings on this device: {days}',
+            exported: 'Your data has been downloaded.',
+            confirmErase: 'Delete everything held for {contact}, including bookings, messages and your newsletter signup? This cannot be undone.',
+            erased: {
+                one: 'We\'ve deleted 1 record held for that contact and cleared this device.',
+                other: 'We\'ve deleted {count} records held for that contact and cleared this device.'
+            },
+            erasedNone: 'We hold nothing for that contact. This device has been cleared.'
+        },
+        gallery: {
+            showing: { one: 'Showing 1 photo', other: 'Showing {shown} of {total} photos' },
+            empty: 'No photos in this category yet.',
+            loadError: 'We couldn\'t load the gallery. Please refresh the page to try again.',
+            comparePosition: '{before}% before, {after}% after',
+            position: '{current} of {total}',
+            intervalSeconds: { one: '1 second per photo', other: '{count} seconds per photo' }
+        }
+    },
+    // Hindi also covers the page content that the markup holds in English
+    hi: {
+        theme: {
+            switchToDark: 'डार्क मोड पर जाएँ',
+            switchToLight: 'लाइट मोड पर जाएँ',
+            toggleTitle: 'थीम बदलें'
+        },
+        validation: {
+            required: 'यह फ़ील्ड ज़रूरी है',
+            email: 'कृपया सही ईमेल पता लिखें',
+            phone: 'कृपया सही फ़ोन नंबर लिखें',
+            minLength: 'कृपया कम से कम {param} अक्षर लिखें',
+            maxLength: 'कृपया {param} से ज़्यादा अक्षर न लिखें',
+            pattern: 'कृपया बताए गए फ़ॉर्मैट में लिखें',
+            min: 'कृपया {param} या उससे ज़्यादा लिखें',
+            max: 'कृपया {param} या उससे कम लिखें',
+            minDate: 'कृपया {param} या उसके बाद की तारीख चुनें',
+            maxDate: 'कृपया {param} या उससे पहले की तारीख चुनें',
+            weekdays: 'कृपया सप्ताह का कोई और दिन चुनें',
+            match: 'यह मेल नहीं खाता',
+            after: 'कृपया बाद का कोई मान चुनें',
+            default: 'कृपया यह फ़ील्ड जाँचें'
+        },
+        draft: {
+            booking: 'बुकिंग',
+            message: 'संदेश',
+            region: 'बिना भेजा ड्राफ़्ट',
+            prompt: '{when} से आपका {label} ड्राफ़्ट बिना भेजे पड़ा है।',
+            today: 'आज {time} बजे',
+            weekday: '{day} {time} बजे',
+            restore: 'ड्राफ़्ट वापस लाएँ',
+            discard: 'हटाएँ'
+        },
+        spam: {
+            rate: 'आपने हाल ही में इस डिवाइस से कई {items} भेजे हैं। कृपया {wait} बाद फिर कोशिश करें या हमें {phone} पर कॉल करें।',
+            items: {
+                booking: 'बुकिंग अनुरोध',
+                message: 'संदेश',
+                newsletter: 'साइनअप'
+            },
+            minutes: { one: '{count} मिनट', other: '{count} मिनट' },
+            duplicate: 'आप यह संदेश हमें पहले ही भेज चुके हैं। हम जल्द जवाब देंगे — इसे दोबारा भेजने की ज़रूरत नहीं है।',
+            challenge: 'कृपया यह दिखाने के लिए जाँच पूरी करें कि आप रोबोट नहीं हैं, फिर दोबारा कोशिश करें।',
+            tooFast: 'यह बहुत जल्दी हो गया! कृपया अपनी जानकारी जाँचें और थोड़ी देर में फिर भेजें।'
+        },
+        attachments: {
+            tooMany: { one: 'आप अधिकतम {count} फ़ोटो जोड़ सकते हैं।', other: 'आप अधिकतम {count} फ़ोटो जोड़ सकते हैं।' },
+            notImage: '"{name}" कोई तस्वीर नहीं है। कृपया कोई फ़ोटो चुनें।',
+            tooBig: '"{name}" {size} MB से बड़ी है। कृपया कोई छोटी फ़ोटो चुनें।',
+            stillTooBig: '"{name}" छोटी करने के बाद भी बहुत बड़ी है। कृपया कोई और फ़ोटो चुनें।',
+            unreadable: 'हम "{name}" नहीं पढ़ सके। कृपया JPEG, PNG या WebP फ़ोटो चुनें।',
+            preparing: 'तैयार हो रही है…',
+            preparingName: '{name} तैयार हो रही है',
+            size: '{name} · {size} KB',
+            remove: '{name} हटाएँ',
+            legend: 'रेफ़रेंस फ़ोटो (वैकल्पिक)',
+            hint: 'जो लुक चाहिए वह दिखाएँ — अधिकतम 3 फ़ोटो। भेजने से पहले हम उन्हें छोटा करते हैं और लोकेशन की जानकारी हटा देते हैं।',
+            drop: 'फ़ोटो यहाँ खींचकर छोड़ें या',
+            choose: 'फ़ोटो चुनें',
+            camera: 'फ़ोटो लें',
+            listLabel: 'जोड़ी गई फ़ोटो'
+        },
+        form: {
+            invalid: 'कृपया फ़ॉर्म की गलतियाँ ठीक करें',
+            error: 'कुछ गड़बड़ हो गई। कृपया फिर कोशिश करें या हमें सीधे कॉल करें।',
+            queued: 'आप ऑफ़लाइन हैं, इसलिए हमने आपकी जानकारी सहेज ली है। ऑनलाइन होते ही इसे भेज दिया जाएगा।',
+            success: 'धन्यवाद! हमें आपकी जानकारी मिल गई है।',
+            nameMinLength: 'नाम कम से कम 2 अक्षरों का होना चाहिए',
+            countryCode: 'देश कोड',
+            emailRequired: 'कृपया अपना ईमेल पता लिखें',
+            dateNotPast: 'कृपया आज या आगे की कोई तारीख चुनें',
+            closedDay: 'इस दिन हम बंद रहते हैं। कृपया कोई और तारीख चुनें',
+            slotTaken: 'यह समय अब उपलब्ध नहीं है। कृपया कोई और समय चुनें',
+            slotChecking: 'जाँच रहे हैं कि यह समय अभी खाली है…'
+        },
+        transportErrors: {
+            offline: 'लगता है आप ऑफ़लाइन हैं। कृपया अपना कनेक्शन जाँचें और फिर कोशिश करें।',
+            network: 'हम अपने बुकिंग सिस्टम तक नहीं पहुँच सके। कृपया थोड़ी देर में फिर कोशिश करें।',
+            timeout: 'अनुरोध में बहुत समय लगा। कृपया फिर कोशिश करें — आपकी बुकिंग दो बार नहीं होगी।',
+            validation: 'कुछ जानकारी स्वीकार नहीं हुई। कृपया फ़ॉर्म जाँचें और फिर कोशिश करें।',
+            conflict: 'माफ़ कीजिए, यह समय अभी-अभी बुक हो गया। कृपया कोई और समय चुनें।',
+            not_found: 'इस जानकारी से कोई बुकिंग नहीं मिली। कृपया जाँचकर फिर कोशिश करें।',
+            rate_limited: 'बहुत ज़्यादा कोशिशें हो गईं। कृपया एक मिनट रुककर फिर कोशिश करें।',
+            forbidden: 'यह काम करने की अनुमति नहीं है। मदद के लिए कृपया हमें कॉल करें।',
+            server: 'हमारी ओर से कुछ गड़बड़ हो गई। कृपया फिर कोशिश करें या हमें सीधे कॉल करें।',
+            storage: 'हम इस डिवाइस पर आपकी जानकारी सहेज नहीं सके। बुक करने के लिए कृपया हमें कॉल करें।',
+            quota: 'इस डिवाइस पर हमारी साइट के लिए जगह खत्म हो गई है। कुछ जगह खाली करें या बुक करने के लिए हमें कॉल करें।',
+            unknown: 'कुछ गड़बड़ हो गई। कृपया फिर कोशिश करें या हमें सीधे कॉल करें।'
+        },
+        storage: {
+            quota: 'आपके ब्राउज़र में इस साइट के लिए जगह खत्म हो गई है, इसलिए कुछ चीज़ें (जैसे फ़ॉर्म ड्राफ़्ट) सहेजी नहीं जा सकतीं।'
+        },
+        status: {
+            pending: 'पुष्टि का इंतज़ार',
+            rescheduled: 'समय बदला गया – पुष्टि का इंतज़ार',
+            confirmed: 'पक्की',
+            completed: 'पूरी हुई',
+            'no-show': 'नहीं आए',
+            cancelled: 'रद्द'
+        },
+        services: {
+            combo: 'हेयरकट + दाढ़ी',
+            deluxe: 'डीलक्स पैकेज',
+            haircut: 'क्लासिक हेयरकट',
+            beard: 'दाढ़ी ट्रिम',
+            shave: 'हॉट टॉवल शेव',
+            pageTitle: 'सेवाएँ - Cut & Crown Barber',
+            title: 'हमारी प्रीमियम सेवाएँ',
+            subtitle: 'आपके स्टाइल के अनुसार प्रोफ़ेशनल ग्रूमिंग सेवाएँ',
+            haircutText: 'आपके चेहरे के आकार और पसंद के अनुसार सटीक हेयरकट। लंबे समय तक टिकने वाले निखरे लुक के लिए इसमें सलाह, वॉश, कट, स्टाइल और फ़िनिशिंग टच शामिल हैं।',
+            includes: 'शामिल है:',
+            haircut1: 'व्यक्तिगत सलाह',
+            haircut2: 'प्रीमियम उत्पादों से हेयर वॉश',
+            haircut3: 'सटीक कटिंग और स्टाइलिंग',
+            haircut4: 'गर्दन और कंधे की मालिश',
+            haircut5: 'अच्छे उत्पादों से स्टाइलिंग',
+            haircutDuration: 'अवधि: 45-60 मिनट',
+            book: 'यह सेवा बुक करें',
+            beardTitle: 'दाढ़ी ट्रिम और स्टाइल',
+            beardText: 'आपके चेहरे के अनुरूप विशेषज्ञ दाढ़ी ट्रिमिंग और शेपिंग। नियमित ट्रिम से लेकर पूरे बियर्ड मेकओवर तक, हम आपको परफ़ेक्ट लुक पाने में मदद करेंगे।',
+            beard1: 'दाढ़ी पर सलाह और डिज़ाइन',
+            beard2: 'सटीक ट्रिमिंग और शेपिंग',
+            beard3: 'किनारों की सफ़ाई और डिटेलिंग',
+            beard4: 'मॉइस्चराइज़िंग बियर्ड ट्रीटमेंट',
+            beard5: 'प्रीमियम बियर्ड उत्पादों से स्टाइलिंग',
+            beardDuration: 'अवधि: 30-45 मिनट',
+            shaveText: 'पारंपरिक शेविंग का बेहतरीन अनुभव। शानदार हॉट टॉवल ट्रीटमेंट के बाद सीधे उस्तरे से सटीक शेव, ताकि त्वचा एकदम चिकनी हो।',
+            shave1: 'हॉट टॉवल प्री-ट्रीटमेंट',
+            shave2: 'प्रीमियम शेविंग क्रीम',
+            shave3: 'पारंपरिक उस्तरे से शेव',
+            shave4: 'ठंडे तौलिये से फ़िनिश',
+            shave5: 'आफ़्टरशेव और मॉइस्चराइज़र',
+            shaveDuration: 'अवधि: 60-75 मिनट',
+            popular: 'लोकप्रिय विकल्प',
+            comboTitle: 'हेयरकट + दाढ़ी कॉम्बो',
+            comboText: 'संपूर्ण सज्जन के लिए परफ़ेक्ट कॉम्बिनेशन। एक ही अपॉइंटमेंट में सटीक हेयरकट और विशेषज्ञ दाढ़ी ट्रिम, पूरी तरह तरोताज़ा लुक के लिए।',
+            combo1: 'पूरी हेयरकट सेवा',
+            combo2: 'प्रोफ़ेशनल दाढ़ी ट्रिम और स्टाइलिंग',
+            combo3: 'हॉट टॉवल ट्रीटमेंट',
+            combo4: 'सिर और गर्दन की मालिश',
+            combo5: 'प्रीमियम उत्पादों से स्टाइलिंग',
+            comboDuration: 'अवधि: 75-90 मिनट',
+            premium: 'प्रीमियम',
+            deluxeTitle: 'डीलक्स ग्रूमिंग पैकेज',
+            deluxeText: 'ग्रूमिंग का सबसे शानदार अनुभव। इस संपूर्ण पैकेज में पूरे बदलाव और सुकून के लिए ज़रूरी सब कुछ शामिल है।',
+            deluxe1: 'सलाह के साथ प्रीमियम हेयरकट',
+            deluxe2: 'पारंपरिक हॉट टॉवल शेव',
+            deluxe3: 'सटीक दाढ़ी ट्रिम और स्टाइलिंग',
+            deluxe4: 'डीप स्कैल्प ट्रीटमेंट और मालिश',
+            deluxe5: 'चेहरे की सफ़ाई और मॉइस्चराइज़िंग',
+            deluxe6: 'आइब्रो ट्रिमिंग',
+            deluxe7: 'मुफ़्त पेय',
+            deluxeDuration: 'अवधि: 2-2.5 घंटे',
+            additional: 'अतिरिक्त सेवाएँ',
+            additionalText: 'अतिरिक्त सेवाएँ किसी भी मुख्य सेवा पैकेज के साथ जोड़ी जा सकती हैं।',
+            bookAdditional: 'अतिरिक्त सेवाएँ बुक करें',
+            haircutImage: 'ग्राहक को क्लासिक हेयरकट देते प्रोफ़ेशनल बार्बर',
+            beardImage: 'प्रोफ़ेशनल दाढ़ी ट्रिमिंग और स्टाइलिंग सेवा',
+            shaveImage: 'पारंपरिक हॉट टॉवल और उस्तरे से शेव',
+            comboImage: 'हेयरकट और दाढ़ी स्टाइलिंग के साथ पूरा ग्रूमिंग पैकेज',
+            deluxeImage: 'सभी प्रीमियम सेवाओं वाला शानदार डीलक्स ग्रूमिंग पैकेज',
+            additionalImage: 'आइब्रो ट्रिमिंग और हेयर स्टाइलिंग समेत अतिरिक्त ग्रूमिंग सेवाएँ',
+            save: '{price} की बचत'
+        },
+        times: {
+            selectFirst: 'पहले तारीख और सेवा चुनें',
+            futureDate: 'कृपया आगे की कोई तारीख चुनें',
+            closed: 'इस दिन बंद',
+            barberOff: '{barber} इस दिन छुट्टी पर हैं',
+            thisBarber: 'यह बार्बर',
+            none: 'इस तारीख को कोई समय उपलब्ध नहीं',
+            choose: 'समय चुनें',
+            unavailable: '{time} ({reason})',
+            reasons: {
+                taken: 'बुक है',
+                past: 'निकल चुका',
+                group: 'पर्याप्त कुर्सियाँ नहीं',
+                other: 'उपलब्ध नहीं'
+            }
+        },
+        booking: {
+            silent: 'धन्यवाद! हमें आपका बुकिंग अनुरोध मिल गया है।',
+            queued: 'आप ऑफ़लाइन हैं, इसलिए हमने आपका बुकिंग अनुरोध सहेज लिया है। ऑनलाइन होते ही इसे भेज दिया जाएगा।',
+            guestTitle: 'मेहमान {number}',
+            repeatPrompt: 'अपनी विज़िट देखने के लिए तारीख, सेवा और समय चुनें',
+            visitUnavailable: '{date} – उपलब्ध नहीं',
+            interval: { one: 'सप्ताह', other: '{count} सप्ताह' },
+            seriesBooked: '{count} विज़िट बुक हो गईं, हर {interval}। पुष्टि के लिए हम आपको {phone} पर कॉल करेंगे।',
+            groupBooked: '{count} लोगों की ग्रुप बुकिंग हो गई! पुष्टि के लिए हम आपको {phone} पर कॉल करेंगे।',
+            booked: '{barber} के साथ बुकिंग हो गई! अपॉइंटमेंट पक्का करने के लिए हम आपको {phone} पर कॉल करेंगे।',
+            summaryGuest: '{guest}: {item}',
+            summaryAddOn: '+ {item}',
+            groupNote: 'यह संदर्भ आपके ग्रुप के सभी {count} लोगों के लिए है।',
+            seriesNote: 'यह संदर्भ आपकी सीरीज़ की सभी {count} विज़िट के लिए है।',
+            skippedDates: 'ये तारीखें उपलब्ध नहीं थीं और बुक नहीं हुईं: {dates}।',
+            title: 'अपना अपॉइंटमेंट बुक करें',
+            subtitle: 'अपनी विज़िट तय करें और प्रीमियम ग्रूमिंग का अनुभव लें',
+            alreadyBooked: 'पहले से बुक किया है?',
+            manageLink: 'अपना अपॉइंटमेंट बदलें या रद्द करें',
+            name: 'पूरा नाम *',
+            phone: 'फ़ोन नंबर *',
+            email: 'ईमेल पता *',
+            service: 'सेवा चुनें *',
+            chooseService: 'कोई सेवा चुनें',
+            barber: 'पसंदीदा बार्बर',
+            anyBarber: 'कोई भी उपलब्ध बार्बर',
+            barberArjun: 'Arjun Patel - मास्टर बार्बर',
+            barberRohan: 'Rohan Kumar - सीनियर बार्बर',
+            date: 'पसंदीदा तारीख *',
+            time: 'पसंदीदा समय *',
+            timePlaceholder: 'पहले तारीख और सेवा चुनें',
+            addOns: 'ऐड-ऑन (वैकल्पिक)',
+            guests: 'किसी को साथ ला रहे हैं? (वैकल्पिक)',
+            guestsHint: '4 मेहमानों तक जोड़ें, हम सबके लिए कुर्सियाँ ढूँढेंगे — साथ-साथ या एक के बाद एक।',
+            seating: 'बैठने की व्यवस्था',
+            seatingAuto: 'जो सबसे अच्छा हो',
+            seatingParallel: 'सब एक साथ',
+            seatingConsecutive: 'एक के बाद एक',
+            addGuest: '+ मेहमान जोड़ें',
+            guestName: 'मेहमान का नाम *',
+            guestService: 'सेवा *',
+            repeat: 'नियमित विज़िट? (वैकल्पिक)',
+            repeatToggle: 'यह अपॉइंटमेंट दोहराएँ',
+            repeatHint: 'दोहराई जाने वाली बुकिंग एक व्यक्ति के लिए होती है। दोहराने के लिए मेहमानों को हटाएँ।',
+            repeatEvery: 'हर',
+            week: 'सप्ताह',
+            weeks2: '2 सप्ताह',
+            weeks3: '3 सप्ताह',
+            weeks4: '4 सप्ताह',
+            weeks6: '6 सप्ताह',
+            weeks8: '8 सप्ताह',
+            repeatEnds: 'कब तक',
+            repeatEndCount: 'कुछ विज़िट के बाद',
+            repeatEndDate: 'किसी तारीख को',
+            repeatCount: 'विज़िट की संख्या',
+            repeatUntil: 'अंतिम तारीख *',
+            summaryTitle: 'आपका अपॉइंटमेंट',
+            summaryEmpty: 'कुल राशि देखने के लिए सेवा चुनें।',
+            total: 'कुल',
+            chairTime: 'कुर्सी का समय',
+            notes: 'अतिरिक्त नोट्स (वैकल्पिक)',
+            submitting: 'बुक हो रहा है...',
+            confirmedTitle: 'आपकी बुकिंग हो गई!',
+            referenceBefore: 'आपका बुकिंग संदर्भ',
+            referenceAfter: ' है। समय बदलने या रद्द करने के लिए इसे संभालकर रखें।',
+            addToCalendar: '📅 कैलेंडर में जोड़ें',
+            manageThis: 'यह बुकिंग प्रबंधित करें',
+            nameRequired: 'कृपया अपना पूरा नाम लिखें',
+            phoneRequired: 'कृपया अपना फ़ोन नंबर लिखें',
+            serviceRequired: 'कृपया कोई सेवा चुनें',
+            barberInvalid: 'कृपया सूची से कोई बार्बर चुनें',
+            dateRequired: 'कृपया अपनी पसंदीदा तारीख चुनें',
+            barberOff: 'आपके चुने हुए बार्बर इस दिन छुट्टी पर हैं। कोई और तारीख या कोई भी उपलब्ध बार्बर चुनें',
+            timeRequired: 'कृपया अपना पसंदीदा समय चुनें',
+            guestNameRequired: 'कृपया मेहमान का नाम लिखें',
+            guestServiceRequired: 'कृपया मेहमान के लिए कोई सेवा चुनें',
+            removeGuest: 'मेहमान हटाएँ',
+            repeatUntilRequired: 'कृपया आख़िरी विज़िट की तारीख चुनें',
+            repeatUntilAfter: 'आख़िरी विज़िट पहले अपॉइंटमेंट के बाद होनी चाहिए',
+            notesPlaceholder: 'कोई ख़ास अनुरोध या पसंद...',
+            serviceOption: {
+                haircut: 'क्लासिक हेयरकट - {price}',
+                beard: 'दाढ़ी ट्रिम - {price}',
+                shave: 'हॉट टॉवल शेव - {price}',
+                combo: 'हेयरकट + दाढ़ी - {price}',
+                deluxe: 'डीलक्स पैकेज - {price}'
+            }
+        },
+        manage: {
+            cancelled: 'यह बुकिंग रद्द हो चुकी है।',
+            cutoff: 'अपॉइंटमेंट से 2 घंटे के भीतर बदलाव फ़ोन पर ही हो सकते हैं।',
+            anyBarber: 'कोई भी उपलब्ध बार्बर',
+            member: '{name} – {services}, {time}',
+            every: { one: 'हर सप्ताह', other: 'हर {count} सप्ताह' },
+            seriesPosition: '{every} · {total} में से विज़िट {position}',
+            seriesMoved: '{count} विज़िट {time} पर कर दी गई हैं। पुष्टि के लिए हम आपको कॉल करेंगे।',
+            moved: 'आपकी बुकिंग {date} को {time} पर कर दी गई है। पुष्टि के लिए हम आपको कॉल करेंगे।',
+            cannotMove: 'ये विज़िट {time} पर नहीं जा सकतीं: {dates}। कोई और समय आज़माएँ या एक बार में एक विज़िट बदलें।',
+            confirmCancel: 'यह बुकिंग रद्द करें? इसे वापस नहीं किया जा सकता।',
+            confirmCancelSeries: 'इस सीरीज़ की सभी {count} आगामी विज़िट रद्द करें? इसे वापस नहीं किया जा सकता।',
+            confirmCancelGroup: 'सभी {count} लोगों की यह बुकिंग रद्द करें? इसे वापस नहीं किया जा सकता।',
+            cancelledToast: 'आपकी बुकिंग रद्द कर दी गई है।',
+            title: 'अपनी बुकिंग प्रबंधित करें',
+            subtitle: 'समय बदलने या रद्द करने के लिए अपना अपॉइंटमेंट खोजें',
+            reference: 'बुकिंग संदर्भ *',
+            contact: 'फ़ोन या ईमेल *',
+            find: 'बुकिंग खोजें',
+            fieldReference: 'संदर्भ',
+            fieldService: 'सेवा',
+            fieldGroup: 'समूह',
+            fieldSeries: 'दोहराव',
+            fieldBarber: 'बार्बर',
+            fieldDate: 'तारीख',
+            fieldTime: 'समय',
+            fieldStatus: 'स्थिति',
+            addToCalendar: '📅 कैलेंडर में जोड़ें (.ics)',
+            scope: 'बदलाव लागू करें',
+            scopeOne: 'सिर्फ़ इस विज़िट पर',
+            scopeSeries: 'इस सीरीज़ की सभी आगामी विज़िट पर',
+            reschedule: 'समय बदलें',
+            cancel: 'बुकिंग रद्द करें',
+            newDate: 'नई तारीख *',
+            newTime: 'नया समय *',
+            timePlaceholder: 'पहले तारीख चुनें',
+            confirm: 'नया समय पक्का करें',
+            keep: 'मौजूदा समय रखें',
+            referenceRequired: 'कृपया अपना बुकिंग संदर्भ लिखें',
+            contactPlaceholder: 'बुकिंग के समय दिया गया फ़ोन नंबर या ईमेल',
+            contactRequired: 'कृपया बुकिंग के समय दिया गया फ़ोन नंबर या ईमेल लिखें',
+            contactInvalid: 'कृपया सही फ़ोन नंबर या ईमेल पता लिखें',
+            newDateRequired: 'कृपया नई तारीख चुनें',
+            barberOff: 'आपके बार्बर इस दिन छुट्टी पर हैं। कृपया कोई और तारीख चुनें',
+            newTimeRequired: 'कृपया नया समय चुनें'
+        },
+        contact: {
+            success: 'आपके संदेश के लिए धन्यवाद! हम 24 घंटे के भीतर जवाब देंगे।',
+            queued: 'आप ऑफ़लाइन हैं, इसलिए हमने आपका संदेश सहेज लिया है। ऑनलाइन होते ही इसे भेज दिया जाएगा।',
+            pageTitle: 'संपर्क करें - Cut & Crown Barber',
+            title: 'संपर्क करें',
+            subtitle: 'हमें आपसे सुनकर ख़ुशी होगी। आज ही संपर्क करें!',
+            visit: 'हमारी दुकान पर आएँ',
+            address: 'पता',
+            pin: 'पिन:',
+            directions: 'रास्ता देखें',
+            phone: 'फ़ोन',
+            phoneText: 'अपॉइंटमेंट या जानकारी के लिए कॉल करें',
+            email: 'ईमेल',
+            emailText: 'हम 24 घंटे के भीतर जवाब देंगे',
+            weekdays: 'सोमवार - शनिवार:',
+            weekdayHours: 'सुबह 9:00 - रात 8:00',
+            sunday: 'रविवार:',
+            closed: 'बंद',
+            findUs: 'हमें ढूँढें',
+            mapNote: 'इस प्लेसहोल्डर मैप की जगह अपना Google Maps एम्बेड कोड लगाएँ',
+            formTitle: 'हमें संदेश भेजें',
+            formSubtitle: 'कोई सवाल या ख़ास अनुरोध है? हम मदद के लिए यहाँ हैं!',
+            name: 'आपका नाम *',
+            phoneOptional: 'फ़ोन नंबर (वैकल्पिक)',
+            subject: 'विषय *',
+            chooseSubject: 'कोई विषय चुनें',
+            subjectAppointment: 'अपॉइंटमेंट के बारे में',
+            subjectServices: 'सेवाओं की जानकारी',
+            subjectPricing: 'कीमतों के बारे में सवाल',
+            subjectFeedback: 'फ़ीडबैक',
+            subjectOther: 'अन्य',
+            message: 'आपका संदेश *',
+            send: 'संदेश भेजें',
+            sending: 'भेजा जा रहा है...',
+            quickActions: 'त्वरित विकल्प',
+            actionBook: 'अपनी विज़िट ऑनलाइन तय करें',
+            actionCall: 'अभी कॉल करें',
+            actionCallText: 'हमसे सीधे बात करें',
+            actionChatText: 'हमसे तुरंत चैट करें',
+            actionServicesText: 'हमारी सेवाएँ देखें',
+            mapTitle: 'Cut & Crown Barber की लोकेशन का मैप',
+            mapLabel: '123 Main St, Your City में Cut & Crown Barber की लोकेशन दिखाता Google Maps',
+            nameRequired: 'कृपया अपना नाम लिखें',
+            subjectRequired: 'कृपया कोई विषय चुनें',
+            messagePlaceholder: 'बताइए हम आपकी क्या मदद कर सकते हैं...',
+            messageRequired: 'कृपया अपना संदेश लिखें',
+            messageMinLength: 'संदेश कम से कम 10 अक्षरों का होना चाहिए',
+            messageOptional: 'कुछ और? (वैकल्पिक)',
+            bookingHandoff: 'तुरंत पक्की बुकिंग चाहिए?',
+            bookingHandoffLink: 'यह समय ऑनलाइन बुक करें',
+            priceListTitle: 'हमारी कीमतें',
+            priceListHint: 'कीमतें प्रति व्यक्ति हैं। ऐड-ऑन किसी भी मुख्य सेवा के साथ लिए जा सकते हैं।',
+            rating: 'आपकी रेटिंग *',
+            ratingRequired: 'कृपया स्टार रेटिंग चुनें',
+            stars1: '1 स्टार',
+            stars2: '2 स्टार',
+            stars3: '3 स्टार',
+            stars4: '4 स्टार',
+            stars5: '5 स्टार',
+            visitDate: 'आपकी विज़िट की तारीख़ *',
+            visitDateRequired: 'कृपया बताइए कि आप कब आए थे',
+            visitDateMin: 'कृपया पिछले एक साल के भीतर की विज़िट चुनें',
+            visitDateMax: 'विज़िट की तारीख़ भविष्य की नहीं हो सकती'
+        },
+        newsletter: {
+            success: 'सब्सक्राइब करने के लिए धन्यवाद! हमारे अगले न्यूज़लेटर का इंतज़ार करें।',
+            queued: 'आप ऑफ़लाइन हैं, इसलिए हमने आपका साइनअप सहेज लिया है। ऑनलाइन होते ही इसे भेज दिया जाएगा।',
+            label: 'ऑफ़र और नए स्टाइल, महीने में एक बार',
+            subscribe: 'सब्सक्राइब करें',
+            subscribing: 'सब्सक्राइब हो रहा है...'
+        },
+        outbox: {
+            title: 'ऑफ़लाइन अनुरोध',
+            dismiss: 'हटाएँ',
+            status: {
+                pending: 'कनेक्शन का इंतज़ार',
+                sent: 'भेजा गया',
+                failed: 'स्वीकार नहीं हुआ – कृपया हमें कॉल करें'
+            },
+            sentBooking: 'फिर से ऑनलाइन: आपका बुकिंग अनुरोध भेज दिया गया है।',
+            sentMessage: 'फिर से ऑनलाइन: आपका संदेश भेज दिया गया है।',
+            failed: 'आपका एक सहेजा गया अनुरोध नहीं भेजा जा सका। कृपया हमें कॉल करें।',
+            booking: 'बुकिंग',
+            bookingAt: '{service} – {date}, {time}',
+            group: '{count} लोगों का ग्रुप – {date}, {time}',
+            series: '{date} से {count} नियमित विज़िट',
+            messageAbout: '{subject} के बारे में संदेश',
+            message: 'संपर्क संदेश',
+            subscriptionFor: 'न्यूज़लेटर साइनअप – {email}',
+            subscription: 'न्यूज़लेटर साइनअप',
+            other: 'अनुरोध'
+        },
+        a11y: {
+            navigatedTo: '{page} पर पहुँचे',
+            error: 'त्रुटि: {message}',
+            required: 'ज़रूरी'
+        },
+        privacy: {
+            days: { one: '1 दिन', other: '{count} दिन' },
+            keepBookings: 'बुकिंग: अपॉइंटमेंट के {days} बाद तक',
+            keepMessages: 'संदेश: {days}',
+            keepSubscriptions: 'न्यूज़लेटर साइनअप: जब तक आप इसे डिलीट न करें',
+            keepConsents: 'सहमति के रिकॉर्ड: {days}',
+            keepDrafts: 'इस डिवाइस पर बिना भेजे फ़ॉर्म ड्राफ़्ट: {hours} घंटे',
+            keepPerformance: 'इस डिवाइस पर पेज स्पीड का समय: {days}',
+            exported: 'आपका डेटा डाउनलोड हो गया है।',
+            confirmErase: '{contact} के लिए रखी गई हर चीज़ डिलीट करें, जिसमें बुकिंग, संदेश और न्यूज़लेटर साइनअप शामिल हैं? इसे वापस नहीं लाया जा सकता।',
+            erased: {
+                one: 'हमने इस संपर्क का 1 रिकॉर्ड डिलीट कर दिया है और यह डिवाइस साफ़ कर दिया है।',
+                other: 'हमने इस संपर्क के {count} रिकॉर्ड डिलीट कर दिए हैं और यह डिवाइस साफ़ कर दिया है।'
+            },
+            erasedNone: 'इस संपर्क का हमारे पास कुछ नहीं है। यह डिवाइस साफ़ कर दिया गया है।',
+            title: 'मेरा डेटा',
+            subtitle: 'हमारे पास आपके बारे में जो कुछ है उसे डाउनलोड करें, या उसे डिलीट करने को कहें',
+            keptTitle: 'हम क्या रखते हैं, और कितने समय तक',
+            contactPlaceholder: 'वह फ़ोन नंबर या ईमेल जो आपने हमें दिया था',
+            contactRequired: 'कृपया वह फ़ोन नंबर या ईमेल लिखें जो आपने हमें दिया था',
+            download: 'मेरा डेटा डाउनलोड करें',
+            delete: 'मेरा डेटा डिलीट करें',
+            learnMore: 'हम आपकी जानकारी का उपयोग कैसे करते हैं और कितने समय तक रखते हैं',
+            bookingConsent: 'मैं सहमत हूँ कि Cut & Crown इस अपॉइंटमेंट के लिए मेरा नाम, फ़ोन नंबर और ईमेल रखे।',
+            messageConsent: 'मैं सहमत हूँ कि Cut & Crown जवाब देने के लिए मेरी जानकारी और संदेश रखे।',
+            newsletterConsent: 'मुझे न्यूज़लेटर ईमेल करें। मैं "मेरा डेटा" में जाकर कभी भी अपना साइनअप डिलीट कर सकता/सकती हूँ।',
+            consentRequired: 'आपकी जानकारी रखने के लिए कृपया सहमति दें',
+            newsletterConsentRequired: 'ईमेल भेजने के लिए कृपया सहमति दें'
+        },
+        nav: {
+            skip: 'मुख्य सामग्री पर जाएँ',
+            home: 'होम',
+            about: 'हमारे बारे में',
+            services: 'सेवाएँ',
+            gallery: 'गैलरी',
+            contact: 'संपर्क',
+            bookNow: 'अभी बुक करें',
+            label: 'मुख्य नेविगेशन',
+            toggle: 'नेविगेशन मेनू खोलें/बंद करें'
+        },
+        footer: {
+            tagline: 'क्लासिक कट। मॉडर्न स्टाइल।',
+            address: '📍 पता:',
+            phone: '📞 फ़ोन:',
+            email: '✉️ ईमेल:',
+            hours: 'खुलने का समय',
+            weekdays: 'सोमवार - शनिवार: सुबह 9:00 - रात 8:00',
+            sunday: 'रविवार: बंद',
+            links: 'त्वरित लिंक',
+            aboutUs: 'हमारे बारे में',
+            follow: 'हमें फ़ॉलो करें',
+            copyright: '© 2025 Cut & Crown Barber. सर्वाधिकार सुरक्षित।|विकसितकर्ता',
+            navLabel: 'फ़ुटर नेविगेशन',
+            instagram: 'Instagram पर हमें फ़ॉलो करें',
+            facebook: 'Facebook पर हमें फ़ॉलो करें',
+            whatsapp: 'WhatsApp पर चैट करें'
+        },
+        home: {
+            pageTitle: 'Cut & Crown Barber - क्लासिक कट। मॉडर्न स्टाइल।',
+            heroTitle: 'क्लासिक कट।<br>मॉडर्न स्टाइल।',
+            heroSubtitle: 'जहाँ परंपरा और आधुनिक ग्रूमिंग की उत्कृष्टता मिलती है',
+            heroUsp: 'Your City के दिल में 25+ वर्षों का प्रीमियम बार्बरिंग अनुभव',
+            bookAppointment: 'अपॉइंटमेंट बुक करें',
+            viewServices: 'सेवाएँ देखें',
+            heroHours: 'सोम-शनि: सुबह 9 - रात 8 | रवि: बंद',
+            popular: 'लोकप्रिय सेवाएँ',
+            learnMore: 'और जानें',
+            allServices: 'सभी सेवाएँ देखें',
+            testimonials: 'हमारे ग्राहक क्या कहते हैं',
+            testimonial1: '"शहर की सबसे अच्छी बार्बरशॉप! बारीकियों पर ध्यान और प्रोफ़ेशनलिज़्म का कोई मुकाबला नहीं। मैं 3 साल से यहाँ आ रहा हूँ।"',
+            testimonial1Author: '— राजेश कुमार, नियमित ग्राहक',
+            testimonial2: '"शानदार सेवा और बहुत अपनापन भरा माहौल। हॉट टॉवल शेव तो लाजवाब है। ज़रूर आज़माएँ!"',
+            testimonial2Author: '— अमित शर्मा, नए ग्राहक',
+            testimonial3: '"साफ़-सुथरे, प्रोफ़ेशनल और कुशल बार्बर जो सच में आपकी बात सुनते हैं। ग्रूमिंग के लिए मेरी पसंदीदा जगह।"',
+            testimonial3Author: '— विक्रम सिंह, पुराने ग्राहक',
+            heroImage: 'मॉडर्न बार्बरशॉप में बाल काटते प्रोफ़ेशनल बार्बर',
+            rating: '5 स्टार रेटिंग'
+        },
+        addOns: {
+            eyebrow: 'आइब्रो ट्रिम',
+            mustache: 'मूँछ ट्रिम',
+            washStyle: 'हेयर वॉश और स्टाइल',
+            scalp: 'स्कैल्प ट्रीटमेंट'
+        },
+        about: {
+            pageTitle: 'हमारे बारे में - Cut & Crown Barber',
+            title: 'Cut & Crown Barber के बारे में',
+            subtitle: 'हर कट में परंपरा, हुनर और जुनून',
+            story: 'हमारी कहानी',
+            story1: '25 से अधिक वर्षों से Cut & Crown Barber बेहतरीन ग्रूमिंग चाहने वाले सज्जनों की पहली पसंद रहा है। मोहल्ले की एक छोटी-सी बार्बरशॉप से शुरू होकर यह Your City में स्टाइल और नफ़ासत की पहचान बन गया है।',
+            story2: 'हमारा मानना है कि अच्छा हेयरकट सिर्फ़ एक सेवा नहीं, एक कला है। हमारे मास्टर बार्बर पीढ़ियों से चली आ रही पारंपरिक तकनीकों को आधुनिक स्टाइलिंग ट्रेंड्स के साथ मिलाकर ऐसे लुक बनाते हैं जो सदाबहार भी हैं और नए ज़माने के भी।',
+            story3: 'Cut & Crown में हम सिर्फ़ बेहतरीन हेयरकट और ग्रूमिंग ही नहीं, बल्कि ऐसा अनुभव देने के लिए प्रतिबद्ध हैं जिसके बाद आप आत्मविश्वास से भरे, तरोताज़ा और दुनिया का सामना करने के लिए तैयार महसूस करें।',
+            statYears: 'वर्षों का अनुभव',
+            statClients: 'संतुष्ट ग्राहक',
+            statHygiene: 'स्वच्छता मानक',
+            team: 'हमारे विशेषज्ञ बार्बर से मिलें',
+            teamSubtitle: 'आपकी बेहतरीन ग्रूमिंग के लिए समर्पित कुशल पेशेवर',
+            arjunRole: 'मास्टर बार्बर और मालिक',
+            arjunBio: '25+ वर्षों के अनुभव के साथ अर्जुन ने पारंपरिक बार्बरिंग को आधुनिक स्टाइल से जोड़ने के विज़न के साथ Cut & Crown की स्थापना की। क्लासिक कट और पारंपरिक वेट शेव में माहिर।',
+            skillClassic: 'क्लासिक कट',
+            skillWetShave: 'वेट शेव',
+            skillBeard: 'दाढ़ी स्टाइलिंग',
+            rohanRole: 'सीनियर बार्बर',
+            rohanBio: 'मॉडर्न स्टाइलिंग और नए ज़माने के कट में 15 वर्षों के अनुभव वाले रचनात्मक कलाकार। रोहन नए ट्रेंड्स से अपडेट रहते हैं और Cut & Crown की पहचान वाली गुणवत्ता बनाए रखते हैं।',
+            skillModern: 'मॉडर्न स्टाइलिंग',
+            skillFade: 'फ़ेड कट',
+            skillTexturing: 'हेयर टेक्सचरिंग',
+            values: 'हमारे मूल्य और मानक',
+            valueExcellence: 'उत्कृष्टता',
+            valueExcellenceText: 'हम हर कट में परफ़ेक्शन की कोशिश करते हैं, ताकि हर ग्राहक अपने अनुभव और लुक से संतुष्ट होकर जाए।',
+            valueHygiene: 'स्वच्छता',
+            valueHygieneText: 'हर ग्राहक के लिए स्टरलाइज़ किए गए उपकरण, ताज़े तौलिये और सैनिटाइज़ किए गए वर्कस्टेशन के साथ हम स्वच्छता के सर्वोच्च मानक बनाए रखते हैं।',
+            valueServiceText: 'बेहतरीन ग्राहक सेवा के प्रति हमारी प्रतिबद्धता हर विज़िट को आरामदायक, सुकून भरा और पूरी तरह आनंददायक बनाती है।',
+            valueTradition: 'परंपरा',
+            valueTraditionText: 'हम आधुनिक तकनीकों और नए स्टाइल को अपनाते हुए बार्बरिंग की आज़माई हुई परंपराओं का सम्मान करते हैं।',
+            safety: 'सुरक्षा और स्वच्छता के तरीके',
+            safetySubtitle: 'आपका स्वास्थ्य और सुरक्षा हमारी सबसे बड़ी प्राथमिकता है',
+            safetyEquipment: '🔧 उपकरणों का स्टरलाइज़ेशन',
+            safetyEquipmentText: 'हर इस्तेमाल के बाद सभी औज़ारों को हॉस्पिटल-ग्रेड कीटाणुनाशक और UV स्टरलाइज़र से पूरी तरह स्टरलाइज़ किया जाता है।',
+            safetyProtection: '🧤 व्यक्तिगत सुरक्षा',
+            safetyProtectionText: 'हमारे बार्बर ज़रूरत पड़ने पर दस्ताने पहनते हैं और व्यक्तिगत स्वच्छता के सर्वोच्च मानक बनाए रखते हैं।',
+            safetyClean: '🧽 साफ़ माहौल',
+            safetyCleanText: 'हमारी दुकान दिन भर नियमित रूप से साफ़ और सैनिटाइज़ की जाती है, और रोज़ गहरी सफ़ाई होती है।',
+            safetyHealth: '🏥 स्वास्थ्य दिशानिर्देश',
+            safetyHealthText: 'हम स्थानीय स्वास्थ्य विभाग के सभी दिशानिर्देशों का पालन करते हैं और सभी कर्मचारियों के प्रमाणपत्र अद्यतन रखते हैं।',
+            shopImage: 'Cut & Crown बार्बरशॉप का अंदरूनी दृश्य, प्रोफ़ेशनल कुर्सियाँ और विंटेज सजावट',
+            arjunImage: 'Cut & Crown के मास्टर बार्बर अर्जुन पटेल की तस्वीर',
+            rohanImage: 'Cut & Crown के सीनियर बार्बर रोहन कुमार की तस्वीर'
+        },
+        faq: {
+            title: 'अक्सर पूछे जाने वाले सवाल',
+            q1: 'मुझे अपॉइंटमेंट कितने दिन पहले बुक करना चाहिए?',
+            a1: 'हम कम से कम 24-48 घंटे पहले बुक करने की सलाह देते हैं, ख़ासकर वीकेंड के लिए। हालाँकि कामकाजी दिनों में अक्सर उसी दिन भी समय मिल जाता है।',
+            q2: 'पहली विज़िट में क्या होता है?',
+            a2: 'पहली विज़िट में आपकी स्टाइल पसंद और बालों के प्रकार को समझने के लिए विस्तार से बातचीत होती है। कोई भी सेवा शुरू करने से पहले हम आपके चेहरे के आकार और जीवनशैली के लिए सबसे अच्छे विकल्पों पर चर्चा करेंगे।',
+            q3: 'क्या बिना अपॉइंटमेंट आ सकते हैं?',
+            a3: 'हाँ, जगह होने पर बिना अपॉइंटमेंट आने वालों का स्वागत है। हालाँकि अपॉइंटमेंट वालों को प्राथमिकता मिलती है, इसलिए व्यस्त समय में इंतज़ार करना पड़ सकता है।',
+            q4: 'आप किन तरीकों से भुगतान लेते हैं?',
+            a4: 'आपकी सुविधा के लिए हम नकद, सभी प्रमुख क्रेडिट/डेबिट कार्ड, UPI और डिजिटल वॉलेट स्वीकार करते हैं।',
+            q5: 'रद्द करने की नीति क्या है?',
+            a5: 'रद्द करने या समय बदलने के लिए कम से कम 2 घंटे पहले सूचना ज़रूरी है। देर से रद्द करने या न आने पर अगली बुकिंग में 50% सेवा शुल्क लग सकता है।'
+        },
+        gallery: {
+            pageTitle: 'गैलरी - Cut & Crown Barber',
+            title: 'हमारे काम की गैलरी',
+            subtitle: 'हर कट में कला और कारीगरी देखें',
+            filterAll: 'सभी',
+            filterHaircuts: 'हेयरकट',
+            filterBeards: 'दाढ़ी',
+            filterStyling: 'स्टाइलिंग',
+            filterShop: 'हमारी दुकान',
+            businessCut: 'क्लासिक बिज़नेस कट',
+            businessCutText: 'मॉडर्न स्टाइलिंग के साथ कैंची का सटीक काम',
+            fade: 'मॉडर्न फ़ेड',
+            fadeText: 'टेक्सचर्ड स्टाइलिंग के साथ नया फ़ेड',
+            beardSculpt: 'दाढ़ी की शेपिंग',
+            beardSculptText: 'विशेषज्ञ दाढ़ी शेपिंग और ट्रिमिंग',
+            shaveText: 'सीधे उस्तरे का पारंपरिक अनुभव',
+            pompadour: 'क्लासिक पॉम्पडोर',
+            pompadourText: 'मॉडर्न अंदाज़ के साथ विंटेज स्टाइलिंग',
+            fullBeard: 'पूरी दाढ़ी की ग्रूमिंग',
+            fullBeardText: 'दाढ़ी की पूरी देखभाल और स्टाइलिंग',
+            setup: 'हमारा प्रोफ़ेशनल सेटअप',
+            setupText: 'विंटेज अंदाज़ वाली मॉडर्न बार्बरशॉप',
+            premiumStyling: 'प्रीमियम स्टाइलिंग',
+            premiumStylingText: 'लंबे समय तक टिकने वाले नतीजों के लिए अच्छे उत्पाद',
+            tools: 'प्रोफ़ेशनल औज़ार',
+            toolsText: 'बेहतरीन सेवा के लिए प्रीमियम उपकरण',
+            undercut: 'ट्रेंडी अंडरकट',
+            undercutText: 'क्लिपर के सटीक काम के साथ मॉडर्न स्टाइल',
+            mustache: 'मूँछों की ग्रूमिंग',
+            mustacheText: 'मूँछों की बारीक ट्रिमिंग और स्टाइलिंग',
+            scalpText: 'सुकून देने वाली सिर की मालिश और ट्रीटमेंट',
+            ctaTitle: 'नए लुक के लिए तैयार हैं?',
+            ctaText: 'अपना अपॉइंटमेंट बुक करें और Cut & Crown का फ़र्क़ महसूस करें',
+            businessCutImage: 'कैंची के काम और स्टाइलिंग के साथ प्रोफ़ेशनल क्लासिक हेयरकट',
+            fadeImage: 'ऊपर टेक्सचर्ड स्टाइलिंग के साथ मॉडर्न फ़ेड हेयरकट',
+            beardSculptImage: 'प्रोफ़ेशनल दाढ़ी ट्रिमिंग और शेपिंग सेवा',
+            pompadourImage: 'प्रोफ़ेशनल स्टाइलिंग के साथ स्टाइलिश पॉम्पडोर हेयरकट',
+            fullBeardImage: 'पूरी दाढ़ी की ग्रूमिंग और देखभाल सेवा',
+            setupImage: 'प्रोफ़ेशनल कुर्सियों के साथ Cut & Crown बार्बरशॉप का अंदरूनी दृश्य',
+            premiumStylingImage: 'अच्छे उत्पादों और तकनीकों से प्रोफ़ेशनल हेयर स्टाइलिंग',
+            toolsImage: 'कैंची, उस्तरे और स्टाइलिंग उत्पादों समेत बार्बर के औज़ार',
+            undercutImage: 'क्लिपर के सटीक काम के साथ ट्रेंडी अंडरकट हेयरस्टाइल',
+            mustacheImage: 'मूँछों की ट्रिमिंग और बारीक ग्रूमिंग सेवा',
+            scalpImage: 'हेयर ट्रीटमेंट और सिर की मालिश सेवा',
+            closeLightbox: 'लाइटबॉक्स बंद करें',
+            closeGalleryLightbox: 'गैलरी लाइटबॉक्स बंद करें',
+            previous: 'पिछली तस्वीर',
+            next: 'अगली तस्वीर',
+            loadMore: 'और तस्वीरें देखें',
+            before: 'पहले',
+            after: 'बाद में',
+            compare: 'पहले और बाद की तुलना',
+            comparePosition: '{before}% पहले, {after}% बाद में',
+            beardSculptBeforeImage: 'शेपिंग से पहले बढ़ी हुई, बिना ट्रिम की दाढ़ी',
+            position: '{total} में से {current}',
+            slideshow: 'स्लाइडशो',
+            slideInterval: 'हर तस्वीर का समय',
+            intervalSeconds: { one: 'हर तस्वीर 1 सेकंड', other: 'हर तस्वीर {count} सेकंड' },
+            showing: { one: '1 तस्वीर दिखाई जा रही है', other: '{total} में से {shown} तस्वीरें दिखाई जा रही हैं' },
+            empty: 'इस श्रेणी में अभी कोई तस्वीर नहीं है।',
+            loadError: 'गैलरी लोड नहीं हो सकी। कृपया पेज रीफ़्रेश करके फिर कोशिश करें।'
+        },
+        language: {
+            label: 'भाषा'
+        }
+    }
+};
+
+const i18n = {
+    storageKey: 'cutCrownLanguage',
+    language: null,
+    sources: new WeakMap(),
+
+    // The saved choice, else the browser's preferred language if there is a catalog for it.
+    // Pages without a language switcher (the staff dashboard) stay in English.
+    getLanguage() {
+        if (!this.language) {
+            // Stored as plain text, not JSON, so storage.read doesn't fit; blocked
+            // storage just means there is no saved choice
+            let stored = null;
+            try {
+                stored = localStorage.getItem(this.storageKey);
+            } catch (error) {
+                console.warn('Could not read the language choice:', error);
+            }
+            const preferred = (navigator.languages || [navigator.language])
+                .map(tag => String(tag).split('-')[0])
+                .find(code => LANGUAGES[code]);
+
+            if (!document.querySelector('.lang-select')) {
+                this.language = DEFAULT_LANGUAGE;
+            } else {
+                this.language = LANGUAGES[stored] ? stored : preferred || DEFAULT_LANGUAGE;
+            }
+        }
+        return this.language;
+    },
+
+    getLocale() {
+        return LANGUAGES[this.getLanguage()].locale;
+    },
+
+    // Remember the choice, translate the page and let components re-render their own text
+    setLanguage(language) {
+        if (!LANGUAGES[language] || language === this.getLanguage()) return;
+
+        this.language = language;
+        // Private browsing or a full quota only costs us remembering it
+        try {
+            localStorage.setItem(this.storageKey, language);
+        } catch (error) {
+            console.warn('Could not save the language choice:', error);
+        }
+        this.translatePage();
+        document.dispatchEvent(new CustomEvent('i18n:change', { detail: { language } }));
+    },
+
+    // The message for a key with {name} placeholders filled from params. Text that
+    // isn't a key comes back unchanged, so options can hold either.
+    t(key, params = {}, fallback = key) {
+        const lookup = (language) => String(key).split('.').reduce((node, part) => node?.[part], MESSAGES[language]);
+        let message = lookup(this.getLanguage()) ?? lookup(DEFAULT_LANGUAGE) ?? fallback;
+
+        if (message && typeof message === 'object') {
+            const category = new Intl.PluralRules(this.getLocale()).select(params.count ?? 0);
+            message = message[category] ?? message.other;
+        }
+        if (typeof message !== 'string') return fallback;
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    // Apply the current language to the tagged elements in root (and root itself).
+    // Each element's English is read from the markup the first time it is seen.
+    translatePage(root = document) {
+        const find = (selector) => [
+            ...(root.matches?.(selector) ? [root] : []),
+            ...root.querySelectorAll(selector)
+        ];
+        const source = (element, name, read) => {
+            const saved = this.sources.get(element) || {};
+            if (!(name in saved)) saved[name] = read();
+            this.sources.set(element, saved);
+            return saved[name];
+        };
+
+        find('[data-i18n]').forEach(element => {
+            const english = source(element, 'text', () => element.textContent.trim());
+            const price = 'price' in element.dataset ? utils.formatPrice(Number(element.dataset.price)) : '';
+            element.textContent = this.t(element.dataset.i18n, { price }, english);
+        });
+
+        find('[data-price]:not([data-i18n])').forEach(element => {
+            element.textContent = utils.formatPrice(Number(element.dataset.price));
+        });
+
+        find('[data-i18n-html]').forEach(element => {
+            const english = source(element, 'html', () => element.innerHTML);
+            element.innerHTML = this.t(element.dataset.i18nHtml, {}, english);
+        });
+
+        find('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [name, key] = pair.split(':');
+                const english = source(element, name, () => element.getAttribute(name));
+                element.setAttribute(name, this.t(key, {}, english));
+            });
+        });
+
+        if (root === document) {
+            document.documentElement.lang = this.getLanguage();
+        }
+    }
 };
 
 // ===== UTILITY FUNCTIONS =====
@@ -56,13 +1166,149 @@ const utils = {
         return Math.random().toString(36).substr(2, 9);
     },
 
-    // Format phone number for display
-    formatPhoneNumber(phone) {
-        const cleaned = phone.replace(/\D/g, '');
-        if (cleaned.length === 10) {
-            return cleaned.replace(/(\d{5})(\d{5})/, '+91 $1 $2');
+    // Generate a key that lets the backend recognise a repeated submission
+    generateIdempotencyKey() {
+        if (window.crypto?.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${utils.generateId()}-${utils.generateId()}`;
+    },
+
+    // Hex SHA-256 digest of a string
+    async sha256(text) {
+        const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    },
+
+    // Quote a CSV cell; a leading =, +, - or @ is neutralised so spreadsheets don't run it as a formula
+    // (plain numbers such as phone numbers are left alone)
+    toCsvCell(value) {
+        let text = String(value ?? '');
+        if (/^[=+\-@]/.test(text) && !/^[+-]?[\d\s()-]+$/.test(text)) {
+            text = `'${text}`;
+        }
+        return `"${text.replace(/"/g, '""')}"`;
+    },
+
+    // Offer text content as a file download
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    // Wait for the given number of milliseconds
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    },
+
+    // Format phone number for display, e.g. "+91 98765 43210"; unrecognised input is returned as-is
+    formatPhoneNumber(phone, countryCode = DEFAULT_PHONE_COUNTRY) {
+        const parsed = utils.parsePhoneNumber(phone, countryCode);
+        if (!parsed?.valid) return phone;
+
+        const { dialCode, groups } = PHONE_COUNTRIES[parsed.country];
+        return `+${dialCode} ${utils.groupDigits(parsed.nationalNumber, groups)}`;
+    },
+
+    // Split digits into the given group sizes; anything left over joins the last group
+    groupDigits(digits, groups) {
+        const parts = [];
+        let rest = digits;
+        groups.forEach((size, index) => {
+            if (!rest) return;
+            const take = index === groups.length - 1 ? rest.length : size;
+            parts.push(rest.slice(0, take));
+            rest = rest.slice(take);
+        });
+        return parts.join(' ');
+    },
+
+    // The country whose dialling code starts these digits; countries sharing a code
+    // (e.g. +1) keep the preferred one
+    findPhoneCountry(digits, preferred = DEFAULT_PHONE_COUNTRY) {
+        const matches = Object.keys(PHONE_COUNTRIES)
+            .filter(code => digits.startsWith(PHONE_COUNTRIES[code].dialCode))
+            .sort((a, b) => PHONE_COUNTRIES[b].dialCode.length - PHONE_COUNTRIES[a].dialCode.length);
+        if (!matches.length) return null;
+
+        const longest = PHONE_COUNTRIES[matches[0]].dialCode;
+        const sameCode = matches.filter(code => PHONE_COUNTRIES[code].dialCode === longest);
+        return sameCode.includes(preferred) ? preferred : sameCode[0];
+    },
+
+    // Read a phone number typed for a country (or in +/00 international form).
+    // Returns { country, nationalNumber, e164, valid }, or null when there are no digits.
+    parsePhoneNumber(phone, countryCode = DEFAULT_PHONE_COUNTRY) {
+        const value = String(phone ?? '').trim();
+        let digits = value.replace(/\D/g, '');
+        if (!digits) return null;
+
+        let country = PHONE_COUNTRIES[countryCode] ? countryCode : DEFAULT_PHONE_COUNTRY;
+        const invalid = { country, nationalNumber: digits, e164: null, valid: false };
+        if (/[^\d\s+().-]/.test(value)) return invalid;
+
+        if (/^(\+|00)/.test(value)) {
+            if (value.startsWith('00')) digits = digits.slice(2);
+            country = utils.findPhoneCountry(digits, country);
+            if (!country) return invalid;
+            digits = digits.slice(PHONE_COUNTRIES[country].dialCode.length);
+        } else if (digits.startsWith(PHONE_COUNTRIES[country].dialCode) &&
+            PHONE_COUNTRIES[country].pattern.test(digits.slice(PHONE_COUNTRIES[country].dialCode.length))) {
+            // Country code typed without the "+", e.g. 919876543210
+            digits = digits.slice(PHONE_COUNTRIES[country].dialCode.length);
+        }
+
+        const { dialCode, pattern, trunkPrefix } = PHONE_COUNTRIES[country];
+        if (trunkPrefix && digits.startsWith(trunkPrefix) && pattern.test(digits.slice(trunkPrefix.length))) {
+            digits = digits.slice(trunkPrefix.length);
         }
-        return phone;
+
+        const valid = pattern.test(digits);
+        return { country, nationalNumber: digits, e164: valid ? `+${dialCode}${digits}` : null, valid };
+    },
+
+    // E.164 form for storage, e.g. "+919876543210"; null if the number isn't valid
+    toE164(phone, countryCode = DEFAULT_PHONE_COUNTRY) {
+        return utils.parsePhoneNumber(phone, countryCode)?.e164 || null;
+    },
+
+    // Flag emoji for an ISO country code, built from regional indicator letters
+    getFlag(countryCode) {
+        return String.fromCodePoint(...[...countryCode].map(letter => 0x1F1E6 + letter.charCodeAt(0) - 65));
+    },
+
+    // Country chosen in the picker that a tel input names with data-country
+    getPhoneCountry(field) {
+        const picker = field?.dataset.country && document.getElementById(field.dataset.country);
+        return picker?.value || DEFAULT_PHONE_COUNTRY;
+    },
+
+    // An email address or a phone number (in any format) against a record's own email and phone
+    isSameContact(contact, { email, phone }) {
+        const value = contact.trim().toLowerCase();
+        if (value.includes('@')) return (email || '').toLowerCase() === value;
+        return Boolean(phone) && utils.isSamePhone(value, phone);
+    },
+
+    // Whether a phone number entered later (e.g. to find a booking) is the stored one.
+    // Without a country code it matches on the stored number's national digits.
+    isSamePhone(entered, stored) {
+        const storedNumber = utils.parsePhoneNumber(stored);
+        if (!storedNumber?.valid) return false;
+
+        const enteredNumber = utils.parsePhoneNumber(entered, storedNumber.country);
+        return enteredNumber?.e164 === storedNumber.e164;
     },
 
     // Validate email format
@@ -71,10 +1317,79 @@ const utils = {
         return emailRegex.test(email);
     },
 
-    // Validate phone number format
-    isValidPhone(phone) {
-        const phoneRegex = /^(\+91[\-\s]?)?[0]?(91)?[6789]\d{9}$/;
-        return phoneRegex.test(phone.replace(/\s/g, ''));
+    // Validate phone number format for a country's numbering plan
+    isValidPhone(phone, countryCode = DEFAULT_PHONE_COUNTRY) {
+        return Boolean(utils.parsePhoneNumber(phone, countryCode)?.valid);
+    },
+
+    // Format a Date as a local YYYY-MM-DD key (toISOString would shift it to UTC)
+    toDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    },
+
+    // Parse a YYYY-MM-DD key as a local date
+    parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    // Shift a YYYY-MM-DD key by a number of days
+    addDays(dateKey, days) {
+        const date = utils.parseDateKey(dateKey);
+        date.setDate(date.getDate() + days);
+        return utils.toDateKey(date);
+    },
+
+    // Whole days from one YYYY-MM-DD key to another
+    daysBetween(fromKey, toKey) {
+        return Math.round((utils.parseDateKey(toKey) - utils.parseDateKey(fromKey)) / 86400000);
+    },
+
+    // Convert "HH:MM" to minutes since midnight
+    timeToMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    },
+
+    // Convert minutes since midnight to "HH:MM"
+    minutesToTime(totalMinutes) {
+        const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+        const minutes = String(totalMinutes % 60).padStart(2, '0');
+        return `${hours}:${minutes}`;
+    },
+
+    // Format a YYYY-MM-DD key for display, e.g. "Tuesday, 27 October 2026"
+    formatDate(dateKey, locale = i18n.getLocale()) {
+        return utils.parseDateKey(dateKey).toLocaleDateString(locale, {
+            weekday: 'long', day: 'numeric', month: 'long', year: 'numeric'
+        });
+    },
+
+    // Format "HH:MM" for display, e.g. "1:30 pm"
+    formatTime(time, locale = i18n.getLocale()) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', hour12: true })
+            .format(new Date(2000, 0, 1, hours, minutes));
+    },
+
+    // Format a rupee amount for display, e.g. "₹1,048"
+    formatPrice(amount, locale = i18n.getLocale()) {
+        return new Intl.NumberFormat(locale, {
+            style: 'currency', currency: 'INR', maximumFractionDigits: 0
+        }).format(amount);
+    },
+
+    // Format minutes for display, e.g. "1 hr 30 mins"
+    formatDuration(totalMinutes, locale = i18n.getLocale()) {
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        const format = (value, unit) => new Intl.NumberFormat(locale, {
+            style: 'unit', unit, unitDisplay: 'short'
+        }).format(value);
+        return [hours ? format(hours, 'hour') : '', minutes || !hours ? format(minutes, 'minute') : '']
+            .filter(Boolean).join(' ');
     }
 };
 
@@ -136,96 +1451,499 @@ class ToastManager {
     }
 }
 
-// ===== THEME MANAGER =====
-class ThemeManager {
-    constructor() {
-        this.themeToggle = document.querySelector('.theme-toggle');
-        this.themeIcon = document.querySelector('.theme-icon');
-        this.currentTheme = this.getStoredTheme() || this.getPreferredTheme();
-        
-        this.init();
+// ===== STORAGE =====
+// Records live in named collections, each stored as { version, records } with the
+// migrations that bring older data up to date. Collections are read into memory when
+// the app starts so lookups stay synchronous; writes go to IndexedDB (localStorage
+// where it isn't available) and other open tabs hear about them as 'storage:change'.
+const STORAGE_SCHEMAS = {
+    bookings: {
+        key: 'cutCrownBookings',
+        version: 2,
+        migrations: {
+            // Bookings saved before add-ons and international numbers: one line item, E.164 phone
+            2: (booking) => {
+                const lineItems = bookingCart.getBookingItems(booking);
+                const { price, duration } = bookingCart.getTotals(lineItems);
+                return {
+                    status: 'pending',
+                    addOns: [],
+                    ...booking,
+                    clientPhone: utils.toE164(booking.clientPhone) || booking.clientPhone,
+                    lineItems,
+                    totalPrice: booking.totalPrice ?? price,
+                    duration: booking.duration || duration || undefined,
+                    endTime: booking.endTime || (duration && booking.preferredTime
+                        ? utils.minutesToTime(utils.timeToMinutes(booking.preferredTime) + duration)
+                        : undefined)
+                };
+            }
+        }
+    },
+    messages: {
+        key: 'cutCrownMessages',
+        version: 2,
+        migrations: {
+            // Lower-case emails and E.164 phones, so duplicate checks and data requests match
+            2: (message) => ({
+                attachments: [],
+                ...message,
+                contactEmail: (message.contactEmail || '').trim().toLowerCase(),
+                contactPhone: utils.toE164(message.contactPhone) || message.contactPhone || ''
+            })
+        }
+    },
+    subscribers: { key: 'cutCrownSubscribers', version: 1 },
+    consents: { key: 'cutCrownConsents', version: 1 }
+};
+
+class StorageError extends Error {
+    constructor(code, message) {
+        super(message || code);
+        this.name = 'StorageError';
+        this.code = code;
     }
 
-    init() {
-        this.setTheme(this.currentTheme);
-        
-        if (this.themeToggle) {
-            this.themeToggle.addEventListener('click', () => {
-                this.toggleTheme();
-            });
-        }
+    // 'quota' when the browser is out of room for this site, 'failed' for anything else
+    static from(error) {
+        if (error instanceof StorageError) return error;
+        const isQuota = ['QuotaExceededError', 'NS_ERROR_DOM_QUOTA_REACHED'].includes(error?.name) || error?.code === 22;
+        return new StorageError(isQuota ? 'quota' : 'failed', error?.message);
+    }
+}
 
-        // Listen for system theme changes
-        const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-        mediaQuery.addEventListener('change', (e) => {
-            if (!this.getStoredTheme()) {
-                this.setTheme(e.matches ? 'dark' : 'light');
-            }
+const localStorageBackend = {
+    async read(key) {
+        return JSON.parse(localStorage.getItem(key) || 'null');
+    },
+
+    async write(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    },
+
+    // The browser fires 'storage' in every other tab by itself
+    notify() {},
+
+    watch(onChange) {
+        window.addEventListener('storage', (e) => {
+            if (e.key) onChange(e.key);
         });
     }
+};
 
-    getPreferredTheme() {
-        return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
-    }
+const indexedDBBackend = {
+    dbName: 'cut-crown',
+    storeName: 'collections',
+    attachmentStoreName: 'attachments',
+    channelName: 'cut-crown-storage',
+    db: null,
+    channel: null,
 
-    getStoredTheme() {
-        return localStorage.getItem('theme');
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 2);
+            // Version 2 added a store for photo attachments, kept apart from the records
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                [[this.storeName, 'key'], [this.attachmentStoreName, 'id']].forEach(([name, keyPath]) => {
+                    if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath });
+                });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Let a newer version of the site upgrade the database from another tab
+                this.db.onversionchange = () => this.db.close();
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new StorageError('failed', 'IndexedDB is blocked by another tab'));
+        });
+    },
+
+    run(mode, callback, storeName = this.storeName) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, mode);
+            const request = callback(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request?.result);
+            // Quota errors abort the transaction rather than failing the request
+            transaction.onabort = () => reject(transaction.error);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    async read(key) {
+        const entry = await this.run('readonly', store => store.get(key));
+        return entry ? { version: entry.version, records: entry.records } : null;
+    },
+
+    write(key, value) {
+        return this.run('readwrite', store => store.put({ key, ...value }));
+    },
+
+    putAttachments(entries) {
+        return this.run('readwrite', store => entries.forEach(entry => store.put(entry)), this.attachmentStoreName);
+    },
+
+    async readAttachment(id) {
+        const entry = await this.run('readonly', store => store.get(id), this.attachmentStoreName);
+        return entry?.dataUrl || null;
+    },
+
+    removeAttachments(ids) {
+        return this.run('readwrite', store => ids.forEach(id => store.delete(id)), this.attachmentStoreName);
+    },
+
+    notify(key) {
+        this.channel?.postMessage({ key });
+    },
+
+    watch(onChange) {
+        if (typeof BroadcastChannel === 'undefined') return;
+        this.channel = new BroadcastChannel(this.channelName);
+        this.channel.addEventListener('message', (e) => onChange(e.data?.key));
     }
+};
 
-    setStoredTheme(theme) {
-        localStorage.setItem('theme', theme);
+class StorageCollection {
+    constructor(name, schema) {
+        this.name = name;
+        this.key = schema.key;
+        this.schema = schema;
+        this.records = [];
+        this.writes = Promise.resolve();
     }
 
-    setTheme(theme) {
-        document.documentElement.setAttribute('data-theme', theme);
-        this.currentTheme = theme;
-        
-        if (this.themeIcon) {
-            this.themeIcon.textContent = theme === 'dark' ? '☀️' : '🌙';
+    async load(backend) {
+        let stored = await backend.read(this.key);
+
+        // First visit with IndexedDB: move over what the site kept in localStorage before
+        const imported = !stored && backend !== localStorageBackend ? await localStorageBackend.read(this.key) : null;
+        stored = stored || imported;
+
+        const { version, records } = this.upgrade(stored);
+        this.records = records;
+
+        if (imported || (stored && version !== stored.version)) {
+            await backend.write(this.key, { version: this.schema.version, records });
+            if (imported) localStorage.removeItem(this.key);
         }
-        
-        if (this.themeToggle) {
-            this.themeToggle.setAttribute('aria-label', 
-                `Switch to ${theme === 'dark' ? 'light' : 'dark'} mode`);
+    }
+
+    // Bare arrays are what the site stored before collections had versions (version 1)
+    upgrade(stored) {
+        const { version = 1, records = [] } = Array.isArray(stored) ? { records: stored } : stored || {};
+        if (!stored) return { version: this.schema.version, records };
+
+        let upgraded = records;
+        for (let next = version + 1; next <= this.schema.version; next++) {
+            const migrate = this.schema.migrations?.[next];
+            if (migrate) upgraded = upgraded.map(record => migrate(record));
         }
+        return { version: Math.max(version, this.schema.version), records: upgraded };
     }
 
-    toggleTheme() {
-        const newTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
-        this.setTheme(newTheme);
-        this.setStoredTheme(newTheme);
+    getAll() {
+        return [...this.records];
     }
-}
 
-// ===== NAVIGATION MANAGER =====
-class NavigationManager {
-    constructor() {
-        this.navToggle = document.querySelector('.nav-toggle');
-        this.navMenu = document.querySelector('.nav-menu');
-        this.navLinks = document.querySelectorAll('.nav-link');
-        this.header = document.querySelector('.header');
-        
-        this.isMenuOpen = false;
-        this.init();
+    // Memory is updated straight away; the promise settles once the write is stored.
+    // A failed write puts the previous records back and rejects with a StorageError.
+    save(records) {
+        const previous = this.records;
+        this.records = [...records];
+
+        const current = this.records;
+        const write = this.writes.then(() => storage.backend.write(this.key, { version: this.schema.version, records: current }));
+        this.writes = write.catch(() => {});
+
+        return write.then(
+            () => storage.backend.notify(this.key),
+            (error) => {
+                if (this.records === current) this.records = previous;
+                throw StorageError.from(error);
+            }
+        );
     }
+}
 
-    init() {
-        // Mobile menu toggle
-        if (this.navToggle) {
-            this.navToggle.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.toggleMenu();
-            });
+const storage = {
+    backend: localStorageBackend,
+    collections: {},
+    ready: null,
+    quotaReported: false,
+
+    // Safe to call more than once; everything waits on the same load
+    open() {
+        if (!this.ready) this.ready = this.load();
+        return this.ready;
+    },
+
+    async load() {
+        if (indexedDBBackend.isSupported()) {
+            try {
+                await indexedDBBackend.open();
+                this.backend = indexedDBBackend;
+            } catch (error) {
+                console.warn('IndexedDB unavailable, using localStorage:', error);
+            }
         }
 
-        // Close menu when clicking nav links
-        this.navLinks.forEach(link => {
-            link.addEventListener('click', () => {
-                if (utils.isMobile() && this.isMenuOpen) {
-                    this.closeMenu();
-                }
-            });
-        });
+        await Promise.all(Object.keys(STORAGE_SCHEMAS).map(name =>
+            this.collection(name).load(this.backend).catch(error => {
+                console.warn(`Could not load stored ${name}:`, error);
+            })
+        ));
+
+        this.backend.watch(key => this.refresh(key));
+    },
+
+    collection(name) {
+        if (!this.collections[name]) {
+            this.collections[name] = new StorageCollection(name, STORAGE_SCHEMAS[name]);
+        }
+        return this.collections[name];
+    },
+
+    // Another tab changed a collection: reload it and let this page re-render
+    async refresh(key) {
+        const collection = Object.values(this.collections).find(candidate => candidate.key === key);
+        if (!collection) return;
+
+        try {
+            await collection.load(this.backend);
+            document.dispatchEvent(new CustomEvent('storage:change', { detail: { collection: collection.name } }));
+        } catch (error) {
+            console.warn(`Could not reload stored ${collection.name}:`, error);
+        }
+    },
+
+    // Photo attachments are too big for the records that mention them: a record keeps
+    // { id, name, type, size, width, height } and the image itself waits in IndexedDB.
+    // localStorage's few megabytes can't take them, so without IndexedDB they're refused.
+    canStoreAttachments() {
+        return this.backend === indexedDBBackend;
+    },
+
+    // Returns the references to keep in the record in place of the images
+    async saveAttachments(attachments = []) {
+        if (!attachments.length) return [];
+        if (!this.canStoreAttachments()) {
+            throw new StorageError('unsupported', 'Photo attachments need IndexedDB');
+        }
+
+        const entries = attachments.map(attachment => ({ ...attachment, id: attachment.id || utils.generateId() }));
+        try {
+            await indexedDBBackend.putAttachments(entries);
+        } catch (error) {
+            throw StorageError.from(error);
+        }
+        return entries.map(({ dataUrl, ...reference }) => reference);
+    },
+
+    // The image for a reference, or null when this device doesn't have it
+    async readAttachment(id) {
+        if (!id || !this.canStoreAttachments()) return null;
+        try {
+            return await indexedDBBackend.readAttachment(id);
+        } catch (error) {
+            console.warn(`Could not read attachment ${id}:`, error);
+            return null;
+        }
+    },
+
+    // Call with records that have been deleted, so their photos go with them
+    async removeAttachments(records) {
+        const ids = records.flatMap(record => record.attachments || [])
+            .map(attachment => attachment.id)
+            .filter(Boolean);
+        if (!ids.length || !this.canStoreAttachments()) return;
+
+        try {
+            await indexedDBBackend.removeAttachments(ids);
+        } catch (error) {
+            console.warn('Could not remove attachments:', error);
+        }
+    },
+
+    // Records with their photos filled back in, e.g. for a personal data export
+    async withAttachmentData(records) {
+        return Promise.all(records.map(async record => {
+            if (!record.attachments?.length) return record;
+            const attachments = await Promise.all(record.attachments.map(async attachment => (
+                attachment.dataUrl ? attachment : { ...attachment, dataUrl: await this.readAttachment(attachment.id) }
+            )));
+            return { ...record, attachments };
+        }));
+    },
+
+    // Small values that only matter on this device (drafts, logs, timings) stay in
+    // localStorage, where they can be read synchronously
+    read(key, fallback = null) {
+        try {
+            const value = localStorage.getItem(key);
+            return value === null ? fallback : JSON.parse(value);
+        } catch (error) {
+            return fallback;
+        }
+    },
+
+    // Returns false if the value couldn't be stored
+    write(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            this.reportError(error);
+            return false;
+        }
+    },
+
+    remove(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch (error) {
+            console.warn(`Could not remove ${key}:`, error);
+        }
+    },
+
+    keys(prefix) {
+        return Object.keys(localStorage).filter(key => key.startsWith(prefix));
+    },
+
+    // For writes nobody is waiting on; a full disk is worth telling the visitor once
+    reportError(error) {
+        const storageError = StorageError.from(error);
+        console.warn('Could not write to storage:', error);
+
+        if (storageError.code === 'quota' && !this.quotaReported) {
+            this.quotaReported = true;
+            new ToastManager().show(i18n.t('storage.quota'), 'warning', 8000);
+        }
+    }
+};
+
+// ===== THEME MANAGER =====
+class ThemeManager {
+    constructor() {
+        this.themeToggle = document.querySelector('.theme-toggle');
+        this.themeIcon = document.querySelector('.theme-icon');
+        this.currentTheme = this.getStoredTheme() || this.getPreferredTheme();
+        
+        this.init();
+    }
+
+    init() {
+        this.setTheme(this.currentTheme);
+        
+        if (this.themeToggle) {
+            this.themeToggle.addEventListener('click', () => {
+                this.toggleTheme();
+            });
+        }
+
+        // Listen for system theme changes
+        const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        mediaQuery.addEventListener('change', (e) => {
+            if (!this.getStoredTheme()) {
+                this.setTheme(e.matches ? 'dark' : 'light');
+            }
+        });
+
+        document.addEventListener('i18n:change', () => this.setTheme(this.currentTheme));
+    }
+
+    getPreferredTheme() {
+        return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+
+    getStoredTheme() {
+        return localStorage.getItem('theme');
+    }
+
+    setStoredTheme(theme) {
+        localStorage.setItem('theme', theme);
+    }
+
+    setTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+        this.currentTheme = theme;
+        
+        if (this.themeIcon) {
+            this.themeIcon.textContent = theme === 'dark' ? '☀️' : '🌙';
+        }
+        
+        if (this.themeToggle) {
+            this.themeToggle.setAttribute('aria-label',
+                i18n.t(theme === 'dark' ? 'theme.switchToLight' : 'theme.switchToDark'));
+        }
+    }
+
+    toggleTheme() {
+        const newTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
+        this.setTheme(newTheme);
+        this.setStoredTheme(newTheme);
+    }
+}
+
+// ===== LANGUAGE MANAGER =====
+// Fills the header's language picker and applies the chosen language to the page
+class LanguageManager {
+    constructor() {
+        this.select = document.querySelector('.lang-select');
+
+        this.init();
+    }
+
+    init() {
+        // Prices and any saved language apply from the first paint
+        i18n.translatePage();
+        if (!this.select) return;
+
+        Object.entries(LANGUAGES).forEach(([code, { name }]) => {
+            const option = new Option(name, code);
+            option.lang = code;
+            this.select.appendChild(option);
+        });
+        this.select.value = i18n.getLanguage();
+        this.select.hidden = false;
+
+        this.select.addEventListener('change', () => i18n.setLanguage(this.select.value));
+    }
+}
+
+// ===== NAVIGATION MANAGER =====
+class NavigationManager {
+    constructor() {
+        this.navToggle = document.querySelector('.nav-toggle');
+        this.navMenu = document.querySelector('.nav-menu');
+        this.navLinks = document.querySelectorAll('.nav-link');
+        this.header = document.querySelector('.header');
+        
+        this.isMenuOpen = false;
+        this.init();
+    }
+
+    init() {
+        // Mobile menu toggle
+        if (this.navToggle) {
+            this.navToggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleMenu();
+            });
+        }
+
+        // Close menu when clicking nav links
+        this.navLinks.forEach(link => {
+            link.addEventListener('click', () => {
+                if (utils.isMobile() && this.isMenuOpen) {
+                    this.closeMenu();
+                }
+            });
+        });
 
         // Close menu when clicking outside
         document.addEventListener('click', (e) => {
@@ -383,42 +2101,228 @@ class NavigationManager {
 }
 
 // ===== FORM VALIDATION MANAGER =====
+// Rules come from each field's markup, so a new field only needs the right attributes:
+//   required, minlength, maxlength, pattern, min, max    native constraints (min/max also bound dates)
+//   type="email" / type="tel"                             email and phone formats
+//   data-min-date / data-max-date="today|+30d|YYYY-MM-DD" date range relative to today
+//   data-weekdays="1-6" or "1,3,5"                        allowed days of the week (0 = Sunday)
+//   data-match="otherFieldId"                             must equal another field
+//   data-after="otherFieldId"                             must be later than another field
+//   data-when="fieldId fieldId=value fieldId!=value"      only validate while every condition holds
+//   data-validate="rule-name other-rule"                  rule types registered with addValidator
+//   data-msg-<rule-name>="..."                            message for a rule instead of the default
+// Disabled fields and fields inside a [hidden] container are skipped. A validator may return a
+// promise; the field is marked aria-busy until it settles (data-msg-pending shows while waiting).
+// Default messages are the validation.* entries in MESSAGES.
+
 class FormValidator {
     constructor() {
         this.validators = {
             required: (value) => value.trim().length > 0,
             email: (value) => utils.isValidEmail(value),
-            phone: (value) => utils.isValidPhone(value),
-            minLength: (value, min) => value.length >= min
+            phone: (value, params, field) => utils.isValidPhone(value, utils.getPhoneCountry(field)),
+            minLength: (value, min) => value.length >= min,
+            maxLength: (value, max) => value.length <= max,
+            pattern: (value, pattern) => {
+                try {
+                    return new RegExp(`^(?:${pattern})$`, 'u').test(value);
+                } catch (error) {
+                    console.warn('Invalid pattern attribute:', pattern);
+                    return true;
+                }
+            },
+            min: (value, min) => Number(value) >= Number(min),
+            max: (value, max) => Number(value) <= Number(max),
+            minDate: (value, min) => value >= min,
+            maxDate: (value, max) => value <= max,
+            weekdays: (value, days) => days.includes(utils.parseDateKey(value).getDay()),
+            match: (value, otherId) => value === this.getValue(document.getElementById(otherId)),
+            after: (value, otherId) => {
+                const other = this.getValue(document.getElementById(otherId));
+                return !other || value > other;
+            }
         };
+
+        // Latest validation run per field, so a slow async check can't overwrite a newer result
+        this.runs = new WeakMap();
+    }
+
+    // Register a custom rule type, e.g. one that needs other form values.
+    // validatorFn(value, params, field) returns a boolean or a promise of one.
+    addValidator(type, validatorFn) {
+        this.validators[type] = validatorFn;
+    }
+
+    // Validate on blur, and again while typing once a field is showing an error
+    attach(form) {
+        this.applyDateLimits(form);
+
+        form.addEventListener('focusout', (e) => {
+            if (this.getRules(e.target).length) {
+                this.validateField(e.target);
+            }
+        });
+
+        const revalidate = utils.debounce((field) => this.validateField(field), 300);
+        form.addEventListener('input', (e) => {
+            if (e.target.getAttribute('aria-invalid') === 'true') {
+                revalidate(e.target);
+            }
+        });
+    }
+
+    // Copy relative date limits onto the native min/max so the date picker matches
+    applyDateLimits(form) {
+        form.querySelectorAll('[data-min-date], [data-max-date]').forEach(field => {
+            if (field.dataset.minDate) field.min = this.resolveDate(field.dataset.minDate);
+            if (field.dataset.maxDate) field.max = this.resolveDate(field.dataset.maxDate);
+        });
+    }
+
+    // "today", "+14d" or a YYYY-MM-DD key
+    resolveDate(value) {
+        const today = utils.toDateKey(new Date());
+        if (value === 'today') return today;
+
+        const offset = /^([+-]\d+)d$/.exec(value);
+        return offset ? utils.addDays(today, Number(offset[1])) : value;
+    }
+
+    // "1-6" -> [1, 2, 3, 4, 5, 6]; "1,3,5" -> [1, 3, 5]
+    parseWeekdays(value) {
+        return value.split(',').flatMap(part => {
+            const [from, to = from] = part.split('-').map(Number);
+            return Array.from({ length: to - from + 1 }, (_, index) => from + index);
+        });
+    }
+
+    getValue(field) {
+        if (!field) return '';
+        if (field.type === 'checkbox') return field.checked ? field.value : '';
+        if (field.type === 'radio') {
+            return field.form?.querySelector(`input[name="${field.name}"]:checked`)?.value || '';
+        }
+        return (field.value || '').trim();
+    }
+
+    getRules(field) {
+        if (!(field instanceof HTMLElement) || !field.matches('input, select, textarea')) return [];
+
+        const rules = [];
+        const add = (type, params) => rules.push({ type, params, message: this.getMessage(field, type, params) });
+        const { dataset } = field;
+
+        if (field.required) add('required');
+        if (field.type === 'email') add('email');
+        if (field.type === 'tel') add('phone');
+        if (field.getAttribute('minlength')) add('minLength', Number(field.getAttribute('minlength')));
+        if (field.getAttribute('maxlength')) add('maxLength', Number(field.getAttribute('maxlength')));
+        if (field.getAttribute('pattern')) add('pattern', field.getAttribute('pattern'));
+
+        if (field.type === 'date') {
+            const min = dataset.minDate ? this.resolveDate(dataset.minDate) : field.getAttribute('min');
+            const max = dataset.maxDate ? this.resolveDate(dataset.maxDate) : field.getAttribute('max');
+            if (min) add('minDate', min);
+            if (max) add('maxDate', max);
+        } else {
+            if (field.getAttribute('min')) add('min', field.getAttribute('min'));
+            if (field.getAttribute('max')) add('max', field.getAttribute('max'));
+        }
+
+        if (dataset.weekdays) add('weekdays', this.parseWeekdays(dataset.weekdays));
+        if (dataset.match) add('match', dataset.match);
+        if (dataset.after) add('after', dataset.after);
+
+        (dataset.validate || '').split(/\s+/).filter(Boolean).forEach(name => {
+            add(name.replace(/-(\w)/g, (_, letter) => letter.toUpperCase()));
+        });
+
+        return rules;
+    }
+
+    // data-msg-min-length for minLength, and so on; {param} is filled in
+    getMessage(field, type, params) {
+        const key = `msg${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+        const template = field.dataset[key] || i18n.t(`validation.${type}`, {}, null) || i18n.t('validation.default');
+        const param = /^\d{4}-\d{2}-\d{2}$/.test(params) ? utils.formatDate(params) : params;
+        return template.replace('{param}', param ?? '');
     }
 
-    validateField(field, rules = []) {
-        const value = field.value.trim();
+    // Fields that are switched off, out of view, or whose data-when conditions don't hold
+    isSkipped(field) {
+        if (field.disabled || field.closest('[hidden]')) return true;
+
+        return (field.dataset.when || '').split(/\s+/).filter(Boolean).some(condition => {
+            const [, id, operator, expected] = /^([\w-]+)(?:(!?=)(.*))?$/.exec(condition) || [];
+            const actual = this.getValue(document.getElementById(id));
+            if (!operator) return !actual;
+            return operator === '=' ? actual !== expected : actual === expected;
+        });
+    }
+
+    async validateField(field, rules = this.getRules(field)) {
         const errorElement = document.getElementById(`${field.id}-error`);
-        
+        const run = (this.runs.get(field) || 0) + 1;
+        this.runs.set(field, run);
+
+        if (this.isSkipped(field)) {
+            this.clearError(field, errorElement);
+            return true;
+        }
+
+        const value = this.getValue(field);
+
         for (const rule of rules) {
-            if (!this.validators[rule.type]) continue;
-            
-            const isValid = rule.params 
-                ? this.validators[rule.type](value, rule.params)
-                : this.validators[rule.type](value);
-                
+            const validator = this.validators[rule.type];
+            if (!validator) continue;
+
+            // Optional fields are only checked once something is entered
+            if (rule.type !== 'required' && !value) continue;
+
+            let isValid = validator(value, rule.params, field);
+
+            if (typeof isValid?.then === 'function') {
+                this.setPending(field, errorElement, true);
+                try {
+                    isValid = await isValid;
+                } catch (error) {
+                    // A check that can't run shouldn't block the customer; the server has the final say
+                    console.warn(`Could not run "${rule.type}" check:`, error);
+                    isValid = true;
+                }
+
+                // A newer run has taken over this field
+                if (this.runs.get(field) !== run) return false;
+                this.setPending(field, errorElement, false);
+            }
+
             if (!isValid) {
                 this.showError(field, errorElement, rule.message);
                 return false;
             }
         }
-        
+
         this.clearError(field, errorElement);
         return true;
     }
 
+    setPending(field, errorElement, pending) {
+        field.setAttribute('aria-busy', String(pending));
+        field.classList.toggle('validating', pending);
+
+        if (errorElement && field.dataset.msgPending) {
+            errorElement.textContent = pending ? field.dataset.msgPending : '';
+            errorElement.classList.toggle('pending', pending);
+            errorElement.style.display = pending ? 'block' : 'none';
+        }
+    }
+
     showError(field, errorElement, message) {
         field.setAttribute('aria-invalid', 'true');
         field.classList.add('error');
         
         if (errorElement) {
+            errorElement.classList.remove('pending');
             errorElement.textContent = message;
             errorElement.style.display = 'block';
         }
@@ -429,365 +2333,4498 @@ class FormValidator {
         field.classList.remove('error');
         
         if (errorElement) {
+            errorElement.classList.remove('pending');
             errorElement.textContent = '';
             errorElement.style.display = 'none';
         }
     }
 
-    validateForm(formElement, fieldRules) {
-        let isFormValid = true;
-        
-        for (const [fieldId, rules] of Object.entries(fieldRules)) {
-            const field = document.getElementById(fieldId);
-            if (field) {
-                const isFieldValid = this.validateField(field, rules);
-                if (!isFieldValid) {
-                    isFormValid = false;
-                }
-            }
-        }
-        
-        return isFormValid;
+    // Every field in the form that has rules
+    getFields(form) {
+        return Array.from(form.elements).filter(field => field.id && this.getRules(field).length);
+    }
+
+    async validateForm(form) {
+        const results = await Promise.all(this.getFields(form).map(field => this.validateField(field)));
+        return results.every(Boolean);
+    }
+
+    clearErrors(form) {
+        this.getFields(form).forEach(field => {
+            this.runs.set(field, (this.runs.get(field) || 0) + 1);
+            this.setPending(field, null, false);
+            this.clearError(field, document.getElementById(`${field.id}-error`));
+        });
     }
 }
 
-// ===== BOOKING FORM MANAGER =====
-class BookingManager {
-    constructor() {
-        this.form = document.getElementById('bookingForm');
-        this.validator = new FormValidator();
-        this.toast = new ToastManager();
-        
-        this.fieldRules = {
-            clientName: [
-                { type: 'required', message: 'Please enter your full name' },
-                { type: 'minLength', params: 2, message: 'Name must be at least 2 characters long' }
-            ],
-            clientPhone: [
-                { type: 'required', message: 'Please enter your phone number' },
-                { type: 'phone', message: 'Please enter a valid phone number' }
-            ],
-            clientEmail: [
-                { type: 'required', message: 'Please enter your email address' },
-                { type: 'email', message: 'Please enter a valid email address' }
-            ],
-            service: [
-                { type: 'required', message: 'Please select a service' }
-            ],
-            preferredDate: [
-                { type: 'required', message: 'Please select your preferred date' }
-            ],
-            preferredTime: [
-                { type: 'required', message: 'Please select your preferred time' }
-            ]
-        };
-        
+// ===== PHONE INPUT MANAGER =====
+// Pairs a tel input with the country picker it names in data-country: fills the picker,
+// groups digits as they're typed, switches country when a +code is typed and shows the
+// full international form once the number is complete.
+class PhoneInputManager {
+    constructor(field) {
+        this.field = field;
+        this.picker = field?.dataset.country ? document.getElementById(field.dataset.country) : null;
+
         this.init();
     }
 
     init() {
-        if (!this.form) return;
-
-        // Set minimum date to today
-        const dateField = document.getElementById('preferredDate');
-        if (dateField) {
-            const today = new Date().toISOString().split('T')[0];
-            dateField.setAttribute('min', today);
-        }
+        if (!this.field) return;
 
-        // Form submission
-        this.form.addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleSubmit();
-        });
+        if (this.picker) {
+            this.populatePicker();
+            this.country = this.picker.value;
+            this.picker.addEventListener('change', () => this.handleCountryChange());
+            document.addEventListener('i18n:change', () => this.populatePicker());
 
-        // Real-time validation
-        Object.keys(this.fieldRules).forEach(fieldId => {
-            const field = document.getElementById(fieldId);
-            if (field) {
-                field.addEventListener('blur', () => {
-                    this.validator.validateField(field, this.fieldRules[fieldId]);
+            // Resetting the form puts the picker back on the default country
+            this.field.form?.addEventListener('reset', () => {
+                setTimeout(() => {
+                    this.country = this.picker.value;
+                    this.updatePlaceholder();
                 });
-                
-                field.addEventListener('input', utils.debounce(() => {
-                    if (field.getAttribute('aria-invalid') === 'true') {
-                        this.validator.validateField(field, this.fieldRules[fieldId]);
-                    }
-                }, 300));
-            }
-        });
-
-        // Phone number formatting
-        const phoneField = document.getElementById('clientPhone');
-        if (phoneField) {
-            phoneField.addEventListener('input', (e) => {
-                // Remove all non-digits
-                let value = e.target.value.replace(/\D/g, '');
-                
-                // Add +91 prefix if not present and format
-                if (value.length > 0) {
-                    if (value.startsWith('91') && value.length === 12) {
-                        value = value.substring(2);
-                    }
-                    if (value.length === 10) {
-                        e.target.value = `+91 ${value.substring(0, 5)} ${value.substring(5)}`;
-                    }
-                }
             });
         }
+
+        this.field.addEventListener('input', () => this.format());
+        this.updatePlaceholder();
     }
 
-    async handleSubmit() {
-        // Validate form
-        const isValid = this.validator.validateForm(this.form, this.fieldRules);
-        
-        if (!isValid) {
-            this.toast.show('Please correct the errors in the form', 'error');
-            
-            // Focus first error field
-            const firstError = this.form.querySelector('[aria-invalid="true"]');
-            if (firstError) {
-                firstError.focus();
-            }
+    // Country names in the page language where the browser knows them; keeps the current choice
+    populatePicker() {
+        const selected = this.picker.value || DEFAULT_PHONE_COUNTRY;
+        const regionNames = Intl.DisplayNames ? new Intl.DisplayNames([i18n.getLocale()], { type: 'region' }) : null;
+
+        this.picker.innerHTML = '';
+        Object.entries(PHONE_COUNTRIES).forEach(([code, { name, dialCode }]) => {
+            const isDefault = code === DEFAULT_PHONE_COUNTRY;
+            const label = regionNames?.of(code) || name;
+            this.picker.appendChild(new Option(`${utils.getFlag(code)} +${dialCode} ${label}`, code, isDefault, code === selected));
+        });
+    }
+
+    getCountry() {
+        return this.picker?.value || DEFAULT_PHONE_COUNTRY;
+    }
+
+    updatePlaceholder() {
+        this.field.placeholder = PHONE_COUNTRIES[this.getCountry()].example;
+    }
+
+    format() {
+        const value = this.field.value.trim();
+        const digits = value.replace(/\D/g, '');
+        if (!digits) return;
+
+        // Leave edits in the middle of the number alone so the caret doesn't jump
+        if (this.field.selectionStart !== null && this.field.selectionStart < this.field.value.length) return;
+
+        const international = /^(\+|00)/.test(value);
+        const dialled = international
+            ? utils.findPhoneCountry(value.startsWith('00') ? digits.slice(2) : digits, this.getCountry())
+            : null;
+        if (dialled && this.picker && dialled !== this.getCountry()) {
+            this.picker.value = dialled;
+            this.country = dialled;
+            this.updatePlaceholder();
+        }
+
+        const parsed = utils.parsePhoneNumber(value, this.getCountry());
+        if (parsed.valid) {
+            this.field.value = utils.formatPhoneNumber(value, this.getCountry());
             return;
         }
 
-        // Show loading state
-        const submitBtn = this.form.querySelector('button[type="submit"]');
-        this.setLoadingState(submitBtn, true);
+        // Still typing: group the digits entered so far
+        const { dialCode, groups } = PHONE_COUNTRIES[parsed.country];
+        if (!international) {
+            this.field.value = utils.groupDigits(digits, groups);
+        } else if (dialled) {
+            this.field.value = `+${dialCode} ${utils.groupDigits(parsed.nationalNumber, groups)}`.trim();
+        }
+    }
+
+    // Keep the national digits already typed and read them under the new country
+    handleCountryChange() {
+        const parsed = utils.parsePhoneNumber(this.field.value, this.country);
+        this.country = this.picker.value;
+        this.updatePlaceholder();
+
+        if (parsed) {
+            this.field.value = parsed.nationalNumber;
+            // Reformats, and revalidates a number already flagged as invalid
+            this.field.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    }
+
+    // E.164 form of the current entry, or null while it isn't a valid number
+    getE164() {
+        return utils.toE164(this.field.value, this.getCountry());
+    }
+}
+
+// ===== FORM DRAFTS =====
+// Drafts are encrypted with AES-GCM before they reach localStorage, so names, numbers
+// and messages aren't readable in plain view. The key is a non-extractable CryptoKey
+// kept in IndexedDB: only this site in this browser profile can use it, and it can't be
+// exported. Browsers without Web Crypto or IndexedDB simply don't keep drafts.
+const draftCrypto = {
+    dbName: 'cut-crown-drafts',
+    storeName: 'keys',
+    keyId: 'draft-key',
+    keyPromise: null,
+
+    isSupported() {
+        return Boolean(window.crypto?.subtle && window.indexedDB);
+    },
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async loadOrCreateKey() {
+        const db = await this.openDatabase();
+        const read = (mode, callback) => new Promise((resolve, reject) => {
+            const request = callback(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
 
         try {
-            // Simulate API call
-            await this.simulateBooking();
-            
-            // Get form data
-            const formData = new FormData(this.form);
-            const bookingData = Object.fromEntries(formData.entries());
-            
-            // Store booking for demo purposes
-            this.storeBooking(bookingData);
-            
-            // Show success message
-            this.toast.show(
-                `Booking confirmed! We'll call you at ${bookingData.clientPhone} to confirm your appointment.`,
-                'success',
-                6000
-            );
-            
-            // Reset form
-            this.form.reset();
-            
-            // Reset date minimum
-            const dateField = document.getElementById('preferredDate');
-            if (dateField) {
-                const today = new Date().toISOString().split('T')[0];
-                dateField.setAttribute('min', today);
+            let key = await read('readonly', store => store.get(this.keyId));
+            if (!key) {
+                key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+                await read('readwrite', store => store.put(key, this.keyId));
             }
-            
-        } catch (error) {
-            this.toast.show('Something went wrong. Please try again or call us directly.', 'error');
-            console.error('Booking error:', error);
+            return key;
         } finally {
-            this.setLoadingState(submitBtn, false);
+            db.close();
+        }
+    },
+
+    getKey() {
+        if (!this.keyPromise) {
+            this.keyPromise = this.loadOrCreateKey().catch(error => {
+                this.keyPromise = null;
+                throw error;
+            });
         }
+        return this.keyPromise;
+    },
+
+    async encrypt(data) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const encoded = new TextEncoder().encode(JSON.stringify(data));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await this.getKey(), encoded);
+        return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(ciphertext)) };
+    },
+
+    async decrypt({ iv, data }) {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(iv) },
+            await this.getKey(),
+            this.fromBase64(data)
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    },
+
+    toBase64(bytes) {
+        return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+    },
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+};
+
+// Saves a form as it's filled in and offers the draft back on the next visit.
+// Fields inside [data-draft="off"] are left out; collect/restore let the owner
+// keep state that isn't plain fields (e.g. dynamically added rows).
+class DraftManager {
+    constructor(form, { label = 'form', collect = () => null, restore = () => {} } = {}) {
+        this.form = form;
+        this.label = label;
+        this.collect = collect;
+        this.restore = restore;
+        this.storageKey = `cutCrownDraft-${form?.id}`;
+        this.saveTimer = null;
+        this.pendingDraft = null;
+        this.prompt = null;
+        // Bumped by clear(), so a save or load still awaiting crypto can tell it's stale
+        this.generation = 0;
+
+        this.init();
     }
 
-    setLoadingState(button, loading) {
-        if (!button) return;
-        
-        const btnText = button.querySelector('.btn-text');
-        const btnLoading = button.querySelector('.btn-loading');
-        
-        if (loading) {
-            button.classList.add('loading');
-            button.disabled = true;
-            if (btnText) btnText.style.display = 'none';
-            if (btnLoading) btnLoading.style.display = 'inline-flex';
-        } else {
-            button.classList.remove('loading');
-            button.disabled = false;
-            if (btnText) btnText.style.display = 'inline-flex';
-            if (btnLoading) btnLoading.style.display = 'none';
+    init() {
+        if (!this.form || !draftCrypto.isSupported()) return;
+
+        ['input', 'change'].forEach(type => {
+            this.form.addEventListener(type, () => this.scheduleSave());
+        });
+
+        // Catch the last keystrokes when the tab is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.saveTimer) this.save();
+        });
+
+        document.addEventListener('i18n:change', () => {
+            if (this.prompt) this.renderPrompt(this.pendingDraft);
+        });
+
+        this.offerDraft();
+    }
+
+    getFields() {
+        return Array.from(this.form.elements).filter(field =>
+            (field.id || field.name) &&
+            !['button', 'submit', 'reset', 'file', 'password', 'fieldset', 'output'].includes(field.type) &&
+            !field.closest('[data-draft="off"]')
+        );
+    }
+
+    // Checkboxes and radios sharing a name are told apart by value
+    getFieldKey(field) {
+        return ['checkbox', 'radio'].includes(field.type) && !field.id
+            ? `${field.name}=${field.value}`
+            : field.id || field.name;
+    }
+
+    isChanged(field) {
+        if (['checkbox', 'radio'].includes(field.type)) return field.checked !== field.defaultChecked;
+        if (field.tagName === 'SELECT') {
+            const initial = Array.from(field.options).find(option => option.defaultSelected) || field.options[0];
+            return field.value !== (initial?.value ?? '');
         }
+        return field.value !== field.defaultValue;
+    }
+
+    scheduleSave() {
+        // Keep the saved draft until the visitor decides what to do with it
+        if (this.pendingDraft) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), CONSTANTS.DRAFT_SAVE_DELAY);
     }
 
-    async simulateBooking() {
-        return new Promise((resolve) => {
-            setTimeout(resolve, CONSTANTS.BOOKING_SIMULATION_DELAY);
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const fields = this.getFields();
+        const extra = this.collect();
+        if (!fields.some(field => this.isChanged(field)) && !extra) {
+            storage.remove(this.storageKey);
+            return;
+        }
+
+        const values = {};
+        fields.forEach(field => {
+            values[this.getFieldKey(field)] = ['checkbox', 'radio'].includes(field.type) ? field.checked : field.value;
         });
+
+        const generation = this.generation;
+        try {
+            const encrypted = await draftCrypto.encrypt({ values, extra });
+            if (generation !== this.generation) return;
+            storage.write(this.storageKey, { savedAt: new Date().toISOString(), ...encrypted });
+        } catch (error) {
+            console.warn('Could not save form draft:', error);
+        }
     }
 
-    storeBooking(data) {
+    async load() {
+        const stored = storage.read(this.storageKey);
+        if (!stored) return null;
+
+        const age = Date.now() - Date.parse(stored.savedAt);
+        if (!(age < CONSTANTS.DRAFT_MAX_AGE_HOURS * 60 * 60 * 1000)) {
+            this.clear();
+            return null;
+        }
+
         try {
-            const bookings = JSON.parse(localStorage.getItem('cutCrownBookings') || '[]');
-            bookings.push({
-                ...data,
-                id: utils.generateId(),
-                timestamp: new Date().toISOString(),
-                status: 'pending'
+            return { savedAt: stored.savedAt, ...await draftCrypto.decrypt(stored) };
+        } catch (error) {
+            // Saved with a key this browser no longer has
+            console.warn('Could not read form draft:', error);
+            this.clear();
+            return null;
+        }
+    }
+
+    async offerDraft() {
+        const generation = this.generation;
+        const draft = await this.load();
+        if (!draft || generation !== this.generation) return;
+
+        this.pendingDraft = draft;
+        this.showPrompt(draft);
+    }
+
+    showPrompt(draft) {
+        this.prompt = document.createElement('div');
+        this.prompt.className = 'draft-prompt';
+        this.prompt.setAttribute('role', 'region');
+        this.prompt.innerHTML = `
+            <p class="draft-prompt-text"></p>
+            <div class="draft-prompt-actions">
+                <button type="button" class="btn btn-primary draft-restore"></button>
+                <button type="button" class="btn btn-outline draft-discard"></button>
+            </div>
+        `;
+        this.renderPrompt(draft);
+
+        this.prompt.querySelector('.draft-restore').addEventListener('click', () => this.restoreDraft());
+        this.prompt.querySelector('.draft-discard').addEventListener('click', () => this.discardDraft());
+
+        this.form.prepend(this.prompt);
+    }
+
+    // The prompt's text, again whenever the language changes
+    renderPrompt(draft) {
+        const savedAt = new Date(draft.savedAt);
+        const time = utils.formatTime(savedAt.toTimeString().slice(0, 5));
+        const when = utils.toDateKey(savedAt) === utils.toDateKey(new Date())
+            ? i18n.t('draft.today', { time })
+            : i18n.t('draft.weekday', { day: savedAt.toLocaleDateString(i18n.getLocale(), { weekday: 'long' }), time });
+
+        this.prompt.setAttribute('aria-label', i18n.t('draft.region'));
+        this.prompt.querySelector('.draft-prompt-text').textContent =
+            i18n.t('draft.prompt', { label: i18n.t(`draft.${this.label}`, {}, this.label), when });
+        this.prompt.querySelector('.draft-restore').textContent = i18n.t('draft.restore');
+        this.prompt.querySelector('.draft-discard').textContent = i18n.t('draft.discard');
+    }
+
+    hidePrompt() {
+        this.prompt?.remove();
+        this.prompt = null;
+        this.pendingDraft = null;
+    }
+
+    restoreDraft() {
+        const { values = {}, extra = null } = this.pendingDraft || {};
+        this.hidePrompt();
+
+        this.restore(extra);
+
+        // In document order, announcing each change so dependent fields (e.g. times) follow
+        this.getFields().forEach(field => {
+            const key = this.getFieldKey(field);
+            if (!(key in values)) return;
+
+            if (['checkbox', 'radio'].includes(field.type)) {
+                field.checked = Boolean(values[key]);
+            } else {
+                field.value = values[key];
+            }
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+
+        this.form.querySelector('input:not([type="hidden"]), select, textarea')?.focus();
+    }
+
+    discardDraft() {
+        this.hidePrompt();
+        this.clear();
+        this.scheduleSave();
+    }
+
+    // After a successful submit, or when the draft is too old to trust. The prompt
+    // goes too, so the data just sent can't be restored and autosave resumes.
+    clear() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.generation++;
+        this.hidePrompt();
+        storage.remove(this.storageKey);
+    }
+}
+
+// ===== SPAM PROTECTION =====
+// A challenge (CAPTCHA, Turnstile, ...) can be plugged in with
+//   spamProtection.setChallenge(async ({ kind, reason }) => token or null)
+// or as window.CUT_CROWN_CONFIG.challenge. It runs when a submission looks automated,
+// or on every submission with CUT_CROWN_CONFIG.challengeAlways; the token it returns
+// is sent along as challengeToken for the backend to verify.
+const spamProtection = {
+    challenge: null,
+
+    setChallenge(challenge) {
+        this.challenge = challenge;
+    },
+
+    getChallenge() {
+        return this.challenge || window.CUT_CROWN_CONFIG?.challenge || null;
+    }
+};
+
+// Layered checks before a form is sent: a honeypot field, a minimum fill time, per-device
+// rate limits, duplicate detection and the optional challenge. check() answers
+//   allow  - send it (with challengeToken when a challenge was passed)
+//   silent - the honeypot was filled in: act as if it was sent, but send nothing
+//   block  - a person may have hit it: show message and keep the form
+class SpamGuard {
+    constructor(form, { kind, isDuplicate = () => false } = {}) {
+        this.form = form;
+        this.kind = kind;
+        this.isDuplicate = isDuplicate;
+        this.logKey = 'cutCrownSubmissionLog';
+        this.honeypot = form?.querySelector('[data-honeypot]') || null;
+        // Fill time runs from the visitor's first keystroke or input, not page load,
+        // so time spent reading the page doesn't count and a restored draft isn't "too fast"
+        this.startedAt = null;
+
+        ['input', 'keydown'].forEach(type => {
+            form?.addEventListener(type, (e) => {
+                if (e.isTrusted && this.startedAt === null) this.startedAt = Date.now();
             });
-            localStorage.setItem('cutCrownBookings', JSON.stringify(bookings));
+        });
+
+        // A fresh form gets a fresh fill-time clock
+        form?.addEventListener('reset', () => {
+            this.startedAt = null;
+        });
+    }
+
+    // Also removes the honeypot from data so it's never sent
+    async check(data) {
+        const trapValue = this.honeypot ? data[this.honeypot.name] : '';
+        if (this.honeypot) delete data[this.honeypot.name];
+
+        if (trapValue) {
+            return { action: 'silent', reason: 'honeypot' };
+        }
+
+        const waitMinutes = this.getRateLimitWait();
+        if (waitMinutes) {
+            return {
+                action: 'block',
+                reason: 'rate',
+                message: i18n.t('spam.rate', {
+                    items: i18n.t(`spam.items.${this.kind}`, {}, i18n.t('spam.items.message')),
+                    wait: i18n.t('spam.minutes', { count: waitMinutes }),
+                    phone: BUSINESS_INFO.phone
+                })
+            };
+        }
+
+        if (this.isDuplicate(data)) {
+            return {
+                action: 'block',
+                reason: 'duplicate',
+                message: i18n.t('spam.duplicate')
+            };
+        }
+
+        const tooFast = this.startedAt !== null &&
+            Date.now() - this.startedAt < CONSTANTS.MIN_FORM_FILL_SECONDS * 1000;
+        if (!tooFast && !window.CUT_CROWN_CONFIG?.challengeAlways) {
+            return { action: 'allow' };
+        }
+
+        const challenge = spamProtection.getChallenge();
+        // Without a challenge a real person could be the one who was quick, so say
+        // so and let them send again rather than quietly dropping the submission
+        if (!challenge) {
+            return tooFast
+                ? { action: 'block', reason: 'too-fast', message: i18n.t('spam.tooFast') }
+                : { action: 'allow' };
+        }
+
+        let challengeToken = null;
+        try {
+            challengeToken = await challenge({ kind: this.kind, reason: tooFast ? 'too-fast' : 'always' });
         } catch (error) {
-            console.warn('Could not store booking locally:', error);
+            console.warn('Challenge failed:', error);
         }
+
+        return challengeToken
+            ? { action: 'allow', challengeToken }
+            : { action: 'block', reason: 'challenge', message: i18n.t('spam.challenge') };
+    }
+
+    getLog() {
+        return storage.read(this.logKey, {});
+    }
+
+    // Minutes until every window has room again, or 0 if a submission is allowed now
+    getRateLimitWait() {
+        const now = Date.now();
+        const times = (this.getLog()[this.kind] || []).map(Date.parse);
+
+        return (SUBMISSION_RATE_LIMITS[this.kind] || []).reduce((wait, { minutes, max }) => {
+            const windowMs = minutes * 60 * 1000;
+            const recent = times.filter(time => now - time < windowMs).sort((a, b) => b - a);
+            if (recent.length < max) return wait;
+
+            // Room opens up when the max-th most recent submission leaves the window
+            const freeAt = recent[max - 1] + windowMs;
+            return Math.max(wait, Math.ceil((freeAt - now) / 60000));
+        }, 0);
+    }
+
+    // Call after a submission is accepted
+    record() {
+        const longest = Math.max(0, ...(SUBMISSION_RATE_LIMITS[this.kind] || []).map(limit => limit.minutes)) * 60 * 1000;
+        const log = this.getLog();
+        log[this.kind] = [...(log[this.kind] || []), new Date().toISOString()]
+            .filter(time => Date.now() - Date.parse(time) < longest);
+
+        storage.write(this.logKey, log);
     }
 }
 
-// ===== CONTACT FORM MANAGER =====
-class ContactManager {
-    constructor() {
-        this.form = document.getElementById('contactForm');
+// ===== PHOTO ATTACHMENTS =====
+// Reference photos for a form's [data-attachments] block. Each image is redrawn on a
+// canvas and re-encoded as JPEG, which shrinks it and drops all EXIF metadata (GPS
+// location included); getAttachments() returns them as data URLs ready to send.
+class AttachmentManager {
+    constructor(container, { enabled = true } = {}) {
+        // Where photos can't be kept the picker is hidden, rather than failing the submit
+        if (container && !enabled) container.hidden = true;
+        this.container = enabled ? container : null;
+        this.attachments = [];
+        this.processing = new Set();
+
+        this.init();
+    }
+
+    init() {
+        if (!this.container) return;
+
+        this.list = this.container.querySelector('.attachment-list');
+        this.dropZone = this.container.querySelector('.attachment-drop');
+        this.errorElement = this.container.querySelector('.form-error');
+
+        this.container.querySelectorAll('.attachment-input').forEach(input => {
+            input.addEventListener('change', () => {
+                this.addFiles(input.files);
+                input.value = '';
+            });
+        });
+
+        // Phones and tablets get a straight-to-camera button
+        const camera = this.container.querySelector('.attachment-camera');
+        if (camera && window.matchMedia('(pointer: coarse)').matches) {
+            camera.hidden = false;
+        }
+
+        if (this.dropZone) {
+            ['dragenter', 'dragover'].forEach(type => {
+                this.dropZone.addEventListener(type, (e) => {
+                    e.preventDefault();
+                    this.dropZone.classList.add('dragging');
+                });
+            });
+            ['dragleave', 'drop'].forEach(type => {
+                this.dropZone.addEventListener(type, () => this.dropZone.classList.remove('dragging'));
+            });
+            this.dropZone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                this.addFiles(e.dataTransfer?.files || []);
+            });
+        }
+
+        this.list?.addEventListener('click', (e) => {
+            const button = e.target.closest('.attachment-remove');
+            if (button) this.remove(button.dataset.id);
+        });
+
+        this.container.closest('form')?.addEventListener('reset', () => this.clear());
+        document.addEventListener('i18n:change', () => this.render());
+    }
+
+    addFiles(files) {
+        this.showError('');
+        const images = Array.from(files);
+        const room = CONSTANTS.MAX_ATTACHMENTS - this.attachments.length;
+
+        if (images.length > room) {
+            this.addError(i18n.t('attachments.tooMany', { count: CONSTANTS.MAX_ATTACHMENTS }));
+        }
+
+        images.slice(0, Math.max(room, 0)).forEach(file => {
+            if (!file.type.startsWith('image/')) {
+                this.addError(i18n.t('attachments.notImage', { name: file.name }));
+                return;
+            }
+            if (file.size > CONSTANTS.MAX_ATTACHMENT_SOURCE_MB * 1024 * 1024) {
+                this.addError(i18n.t('attachments.tooBig', { name: file.name, size: CONSTANTS.MAX_ATTACHMENT_SOURCE_MB }));
+                return;
+            }
+
+            const placeholder = { id: utils.generateId(), name: file.name, processing: true };
+            this.attachments.push(placeholder);
+            this.render();
+
+            const task = this.processImage(file)
+                .then(image => Object.assign(placeholder, image, { processing: false }))
+                .catch(error => {
+                    console.warn('Could not prepare photo:', error);
+                    this.attachments = this.attachments.filter(item => item !== placeholder);
+                    this.addError(i18n.t(error.message === 'too-large' ? 'attachments.stillTooBig' : 'attachments.unreadable', {
+                        name: file.name
+                    }));
+                })
+                .finally(() => {
+                    this.processing.delete(task);
+                    this.render();
+                });
+            this.processing.add(task);
+        });
+    }
+
+    // Shrink until the JPEG fits the size limit, giving up after a few rounds
+    async processImage(file) {
+        const image = await this.decode(file);
+        const limit = CONSTANTS.MAX_ATTACHMENT_KB * 1024;
+        let maxDimension = CONSTANTS.ATTACHMENT_MAX_DIMENSION;
+        let quality = 0.85;
+
+        try {
+            for (let attempt = 0; attempt < 4; attempt++) {
+                const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.width * scale);
+                canvas.height = Math.round(image.height * scale);
+
+                const context = canvas.getContext('2d');
+                // JPEG has no transparency, so flatten PNGs onto white rather than black
+                context.fillStyle = '#fff';
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+                const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+                if (!blob) throw new Error('encode');
+
+                if (blob.size <= limit) {
+                    return {
+                        name: file.name.replace(/\.[^.]+$/, '') + '.jpg',
+                        type: 'image/jpeg',
+                        size: blob.size,
+                        width: canvas.width,
+                        height: canvas.height,
+                        dataUrl: await this.readAsDataUrl(blob)
+                    };
+                }
+
+                maxDimension = Math.round(maxDimension * 0.75);
+                quality = Math.max(0.5, quality - 0.1);
+            }
+        } finally {
+            image.close?.();
+        }
+
+        throw new Error('too-large');
+    }
+
+    // Decoded with the camera's rotation applied, so photos aren't sideways once EXIF is gone
+    async decode(file) {
+        if (window.createImageBitmap) {
+            return createImageBitmap(file, { imageOrientation: 'from-image' });
+        }
+
+        const url = URL.createObjectURL(file);
+        try {
+            const image = new Image();
+            image.src = url;
+            await image.decode();
+            return image;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    readAsDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    render() {
+        if (!this.list) return;
+        this.list.innerHTML = '';
+
+        this.attachments.forEach(attachment => {
+            const item = document.createElement('li');
+            item.className = `attachment-item${attachment.processing ? ' processing' : ''}`;
+
+            const thumbnail = document.createElement('img');
+            thumbnail.alt = attachment.processing
+                ? i18n.t('attachments.preparingName', { name: attachment.name })
+                : attachment.name;
+            if (attachment.dataUrl) thumbnail.src = attachment.dataUrl;
+
+            const caption = document.createElement('span');
+            caption.className = 'attachment-name';
+            caption.textContent = attachment.processing
+                ? i18n.t('attachments.preparing')
+                : i18n.t('attachments.size', { name: attachment.name, size: Math.round(attachment.size / 1024) });
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'attachment-remove';
+            remove.dataset.id = attachment.id;
+            remove.setAttribute('aria-label', i18n.t('attachments.remove', { name: attachment.name }));
+            remove.textContent = '×';
+            remove.disabled = Boolean(attachment.processing);
+
+            item.append(thumbnail, caption, remove);
+            this.list.appendChild(item);
+        });
+    }
+
+    remove(id) {
+        this.attachments = this.attachments.filter(attachment => attachment.id !== id);
+        this.showError('');
+        this.render();
+    }
+
+    showError(message) {
+        if (!this.errorElement) return;
+        this.errorElement.textContent = message;
+        this.errorElement.style.display = message ? 'block' : 'none';
+    }
+
+    // Several files can fail at once, so problems are listed together
+    addError(message) {
+        this.showError([this.errorElement?.textContent, message].filter(Boolean).join(' '));
+    }
+
+    // Waits for photos still being shrunk, then lists them for the submission
+    async getAttachments() {
+        await Promise.all(this.processing);
+        return this.attachments.map(({ name, type, size, width, height, dataUrl }) => ({ name, type, size, width, height, dataUrl }));
+    }
+
+    clear() {
+        this.attachments = [];
+        this.showError('');
+        this.render();
+    }
+}
+
+// ===== FORM CONTROLLER =====
+// The submit pipeline shared by the site's forms: validation, phone formatting,
+// drafts, spam checks, photo attachments, the loading state and idempotency keys.
+// A simple form needs only configuration:
+//   new FormController({
+//       formId: 'newsletterForm',
+//       spam: { kind: 'newsletter' },
+//       submit: (data, options) => transports.get().createSubscription(data, options),
+//       successMessage: 'newsletter.success'
+//   });
+// The *Message options take MESSAGES keys (plain text works too) and are translated when shown.
+// Each step is a method that subclasses can override; by default it calls the hook
+// of the same name from the configuration, if there is one:
+//   beforeValidate()         -> false to stop
+//   beforeSubmit(data)       -> the data to send, or false to stop
+//   submit(data)             -> the result (required)
+//   onSuccess(result, data)  -> default: success (or offline) toast, then reset
+//   onError(error, data)     -> default: error toast
+// Other code can follow along through DOM events on the form: form:invalid,
+// form:beforesubmit (cancelable; detail.data), form:success (detail.result, detail.data)
+// and form:error (detail.error).
+class FormController {
+    constructor(options = {}) {
+        this.options = {
+            invalidMessage: 'form.invalid',
+            errorMessage: 'form.error',
+            queuedMessage: 'form.queued',
+            successMessage: 'form.success',
+            ...options
+        };
+        this.form = options.form || document.getElementById(options.formId);
         this.validator = new FormValidator();
         this.toast = new ToastManager();
-        
-        this.fieldRules = {
-            contactName: [
-                { type: 'required', message: 'Please enter your name' },
-                { type: 'minLength', params: 2, message: 'Name must be at least 2 characters long' }
-            ],
-            contactEmail: [
-                { type: 'required', message: 'Please enter your email address' },
-                { type: 'email', message: 'Please enter a valid email address' }
-            ],
-            contactSubject: [
-                { type: 'required', message: 'Please select a subject' }
-            ],
-            contactMessage: [
-                { type: 'required', message: 'Please enter your message' },
-                { type: 'minLength', params: 10, message: 'Message must be at least 10 characters long' }
-            ]
+        this.transport = transports.get();
+        this.pendingSubmission = null;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.form) return;
+
+        this.setup();
+        this.validator.attach(this.form);
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+
+        // Phone number formatting
+        this.phoneInputs = Array.from(this.form.querySelectorAll('input[type="tel"][data-country]'))
+            .map(field => new PhoneInputManager(field));
+
+        this.attachments = new AttachmentManager(this.form.querySelector('[data-attachments]'), {
+            enabled: this.transport.acceptsAttachments?.() ?? true
+        });
+
+        if (this.options.spam) {
+            this.spamGuard = new SpamGuard(this.form, {
+                ...this.options.spam,
+                isDuplicate: (data) => this.isDuplicate(data)
+            });
+        }
+
+        if (this.options.draft) {
+            this.draft = new DraftManager(this.form, {
+                ...this.options.draft,
+                collect: () => this.collectDraft(),
+                restore: (extra) => this.restoreDraft(extra)
+            });
+        }
+    }
+
+    // Subclasses wire up their own fields here, before validation is attached
+    setup() {}
+
+    // ----- Hooks -----
+    beforeValidate() {
+        return this.options.beforeValidate?.call(this);
+    }
+
+    beforeSubmit(data) {
+        return this.options.beforeSubmit ? this.options.beforeSubmit.call(this, data) : data;
+    }
+
+    submit(data) {
+        if (!this.options.submit) {
+            throw new Error(`No submit handler configured for #${this.form.id}`);
+        }
+        return this.options.submit.call(this, data, { idempotencyKey: this.getIdempotencyKey(data) });
+    }
+
+    onSuccess(result, data) {
+        if (this.options.onSuccess) return this.options.onSuccess.call(this, result, data);
+
+        if (result?.queued) {
+            this.toast.show(i18n.t(this.options.queuedMessage), 'info', 5000);
+        } else {
+            this.toast.show(i18n.t(this.options.successMessage), 'success', 5000);
+        }
+        this.reset();
+    }
+
+    onError(error, data) {
+        if (this.options.onError) return this.options.onError.call(this, error, data);
+
+        const message = error instanceof TransportError ? error.getUserMessage() : i18n.t(this.options.errorMessage);
+        this.toast.show(message, 'error');
+        console.error(`Form error (#${this.form.id}):`, error);
+    }
+
+    isDuplicate(data) {
+        return this.options.spam?.isDuplicate?.(data) || false;
+    }
+
+    collectDraft() {
+        return this.options.draft?.collect?.() ?? null;
+    }
+
+    restoreDraft(extra) {
+        this.options.draft?.restore?.(extra);
+    }
+
+    // ----- Pipeline -----
+    async handleSubmit() {
+        if (await this.beforeValidate() === false) return;
+
+        const isValid = await this.validator.validateForm(this.form);
+        if (!isValid) {
+            this.toast.show(i18n.t(this.options.invalidMessage), 'error');
+            this.emit('invalid');
+
+            // Focus first error field
+            const firstError = this.form.querySelector('[aria-invalid="true"]');
+            if (firstError) {
+                firstError.focus();
+            }
+            return;
+        }
+
+        // Show loading state
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        this.setLoadingState(submitBtn, true);
+
+        let data = null;
+        try {
+            data = this.getFormData();
+
+            if (this.spamGuard) {
+                const verdict = await this.spamGuard.check(data);
+                if (verdict.action === 'silent') {
+                    // Looks like a bot: behave as if it worked and send nothing
+                    this.toast.show(i18n.t(this.options.silentMessage || this.options.successMessage), 'success', 5000);
+                    this.reset();
+                    return;
+                }
+                if (verdict.action === 'block') {
+                    this.toast.show(verdict.message, 'error', 8000);
+                    return;
+                }
+                if (verdict.challengeToken) {
+                    data.challengeToken = verdict.challengeToken;
+                }
+            }
+
+            if (this.attachments.container) {
+                data.attachments = await this.attachments.getAttachments();
+            }
+
+            data = await this.beforeSubmit(data);
+            if (data === false || !this.emit('beforesubmit', { data }, { cancelable: true })) return;
+
+            const result = await this.submit(data);
+            this.pendingSubmission = null;
+            this.spamGuard?.record();
+            this.recordConsent(data, result);
+
+            await this.onSuccess(result, data);
+            this.emit('success', { result, data });
+        } catch (error) {
+            this.onError(error, data);
+            this.emit('error', { error, data });
+        } finally {
+            this.setLoadingState(submitBtn, false);
+        }
+    }
+
+    // Named fields as an object, with phone numbers in E.164 and a ticked
+    // consent checkbox (input[data-consent], value = purpose) as a consent record
+    getFormData() {
+        const data = Object.fromEntries(new FormData(this.form).entries());
+        this.phoneInputs.forEach(phoneInput => {
+            if (data[phoneInput.field.name]) {
+                data[phoneInput.field.name] = phoneInput.getE164();
+            }
+        });
+
+        const consentField = this.form.querySelector('input[data-consent]');
+        if (consentField) {
+            delete data[consentField.name];
+            if (consentField.checked) {
+                data.consent = privacy.describeConsent(consentField.value, consentField.closest('label')?.textContent || '');
+            }
+        }
+        return data;
+    }
+
+    // The consent that went with a submission, tied to the contact details it covers
+    recordConsent(data, result) {
+        if (!data.consent) return;
+
+        const email = this.form.querySelector('input[type="email"]')?.value.trim().toLowerCase() || '';
+        const phone = this.phoneInputs.map(phoneInput => phoneInput.getE164()).find(Boolean) || '';
+        privacy.recordConsent(data.consent, { email, phone, recordId: this.getRecordId(result) });
+    }
+
+    // The stored record's id, or null while it waits in the offline outbox
+    getRecordId(result) {
+        return result?.id || null;
+    }
+
+    // Returns false when a listener cancelled the event
+    emit(name, detail = {}, { cancelable = false } = {}) {
+        return this.form.dispatchEvent(new CustomEvent(`form:${name}`, { bubbles: true, cancelable, detail }));
+    }
+
+    reset() {
+        this.draft?.clear();
+        this.form.reset();
+    }
+
+    // Reuse the key while the same details are resubmitted, so a retry after a
+    // timeout or a double click is only acted on once
+    getIdempotencyKey(payload) {
+        const fingerprint = JSON.stringify(payload);
+        if (this.pendingSubmission?.fingerprint !== fingerprint) {
+            this.pendingSubmission = { fingerprint, key: utils.generateIdempotencyKey() };
+        }
+        return this.pendingSubmission.key;
+    }
+
+    setLoadingState(button, loading) {
+        if (!button) return;
+        
+        const btnText = button.querySelector('.btn-text');
+        const btnLoading = button.querySelector('.btn-loading');
+        
+        if (loading) {
+            button.classList.add('loading');
+            button.disabled = true;
+            if (btnText) btnText.style.display = 'none';
+            if (btnLoading) btnLoading.style.display = 'inline-flex';
+        } else {
+            button.classList.remove('loading');
+            button.disabled = false;
+            if (btnText) btnText.style.display = 'inline-flex';
+            if (btnLoading) btnLoading.style.display = 'none';
+        }
+    }
+}
+
+// ===== BOOKING STORE =====
+// Reads are synchronous; writes resolve once stored and reject with a StorageError
+class BookingStore {
+    constructor() {
+        this.collection = storage.collection('bookings');
+    }
+
+    getAll() {
+        return this.collection.getAll();
+    }
+
+    saveAll(bookings) {
+        return this.collection.save(bookings);
+    }
+
+    async add(data) {
+        const booking = {
+            ...data,
+            id: utils.generateId(),
+            timestamp: new Date().toISOString(),
+            status: 'pending'
+        };
+        await this.saveAll([...this.getAll(), booking]);
+        return booking;
+    }
+
+    // Store linked bookings in one write; the first booking's id doubles as the group reference
+    async addGroup(members) {
+        const groupId = utils.generateId();
+        const timestamp = new Date().toISOString();
+        const group = members.map((data, index) => ({
+            ...data,
+            id: index === 0 ? groupId : utils.generateId(),
+            groupId,
+            groupSize: members.length,
+            timestamp,
+            status: 'pending'
+        }));
+        await this.saveAll([...this.getAll(), ...group]);
+        return group;
+    }
+
+    // Members of a group, lead booking first
+    getGroup(groupId) {
+        return this.getAll()
+            .filter(booking => booking.groupId === groupId)
+            .sort((a, b) => (b.id === groupId) - (a.id === groupId));
+    }
+
+    // Store the visits of a repeating appointment; the first visit's id is the series reference
+    async addSeries(occurrences) {
+        const seriesId = utils.generateId();
+        const timestamp = new Date().toISOString();
+        const series = occurrences.map((data, index) => ({
+            ...data,
+            id: index === 0 ? seriesId : utils.generateId(),
+            seriesId,
+            timestamp,
+            status: 'pending'
+        }));
+        await this.saveAll([...this.getAll(), ...series]);
+        return series;
+    }
+
+    // Visits in a series, earliest first
+    getSeries(seriesId) {
+        return this.getAll()
+            .filter(booking => booking.seriesId === seriesId)
+            .sort((a, b) => a.preferredDate.localeCompare(b.preferredDate));
+    }
+
+    // Insert or replace a record that already has an id (e.g. one returned by the server)
+    async put(record) {
+        const bookings = this.getAll();
+        const index = bookings.findIndex(booking => booking.id === record.id);
+        if (index === -1) {
+            bookings.push(record);
+        } else {
+            bookings[index] = record;
+        }
+        await this.saveAll(bookings);
+        return record;
+    }
+
+    findByIdempotencyKey(key) {
+        return this.getAll().find(booking => booking.idempotencyKey === key) || null;
+    }
+
+    async update(id, changes) {
+        const bookings = this.getAll();
+        const index = bookings.findIndex(booking => booking.id === id);
+        if (index === -1) return null;
+
+        bookings[index] = {
+            ...bookings[index],
+            ...changes,
+            updatedAt: new Date().toISOString()
+        };
+        await this.saveAll(bookings);
+        return bookings[index];
+    }
+
+    // Several [{ id, changes }] in one write, so either all of them are stored or
+    // none are; null when any of the bookings is missing
+    async updateMany(updates) {
+        const bookings = this.getAll();
+        const updatedAt = new Date().toISOString();
+        const indexes = updates.map(({ id }) => bookings.findIndex(booking => booking.id === id));
+        if (indexes.includes(-1)) return null;
+
+        updates.forEach(({ changes }, position) => {
+            const index = indexes[position];
+            bookings[index] = { ...bookings[index], ...changes, updatedAt };
+        });
+        await this.saveAll(bookings);
+        return indexes.map(index => bookings[index]);
+    }
+
+    // Match a reference together with the phone number or email used when booking
+    findByReference(reference, contact) {
+        const id = reference.trim().toLowerCase();
+        return this.getAll().find(booking => booking.id === id && this.isClient(booking, contact)) || null;
+    }
+
+    isClient(booking, contact) {
+        return utils.isSameContact(contact, { email: booking.clientEmail, phone: booking.clientPhone });
+    }
+
+    findByContact(contact) {
+        return this.getAll().filter(booking => this.isClient(booking, contact));
+    }
+
+    // Resolves to how many bookings were removed
+    async removeWhere(predicate) {
+        const bookings = this.getAll();
+        const kept = bookings.filter(booking => !predicate(booking));
+        if (kept.length !== bookings.length) {
+            await this.saveAll(kept);
+            await storage.removeAttachments(bookings.filter(booking => !kept.includes(booking)));
+        }
+        return bookings.length - kept.length;
+    }
+}
+
+// ===== BACKEND TRANSPORTS =====
+// Every transport exposes the same async methods:
+//   createBooking(data, { idempotencyKey })             -> stored booking
+//   createBookingGroup(members, { idempotencyKey })     -> stored bookings, lead first
+//   createBookingSeries(occurrences, { idempotencyKey }) -> stored bookings, earliest first
+//   findBooking(reference, contact)                     -> booking or null
+//   findBookingGroup(groupId, contact)                  -> bookings in the group, lead first
+//   findBookingSeries(seriesId, contact)                -> bookings in the series, earliest first
+//   updateBooking(id, changes)                          -> updated booking
+//   updateBookings([{ id, changes }])                   -> updated bookings; all of them or none
+//   createMessage(data, { idempotencyKey })             -> stored message
+//   createSubscription(data, { idempotencyKey })        -> stored newsletter signup
+//   exportPersonalData(contact)                         -> { bookings, messages, subscriptions } for an email or phone
+//   erasePersonalData(contact)                          -> { bookings, messages, subscriptions } counts removed
+//   expireRecords({ bookingsBefore, messagesBefore })   -> drops what is past retention from this device
+//   checkAvailability(query)   (optional)               -> { available } from the backend's own records
+//   acceptsAttachments()       (optional)               -> false when photos can't be taken (default true)
+// Failures are thrown as TransportError so forms can show a matching toast
+// (the transportErrors.* messages); a full device is reported as 'quota'.
+
+class TransportError extends Error {
+    constructor(code, message, { status = null, retryable = false, details = null } = {}) {
+        super(message || code);
+        this.name = 'TransportError';
+        this.code = code;
+        this.status = status;
+        this.retryable = retryable;
+        this.details = details;
+    }
+
+    // Prefer a message the server wrote for people, then the generic one for the code
+    getUserMessage() {
+        if (this.code === 'validation' && this.details?.message) {
+            return this.details.message;
+        }
+        return i18n.t(`transportErrors.${this.code}`, {}, null) || i18n.t('transportErrors.unknown');
+    }
+}
+
+// Keeps everything in this browser's storage (the default, and the demo setup)
+class LocalStorageTransport {
+    constructor() {
+        this.bookings = new BookingStore();
+        this.messages = storage.collection('messages');
+        this.subscribers = storage.collection('subscribers');
+    }
+
+    toTransportError(error) {
+        if (error instanceof TransportError) return error;
+        return new TransportError(StorageError.from(error).code === 'quota' ? 'quota' : 'storage', error.message);
+    }
+
+    acceptsAttachments() {
+        return storage.canStoreAttachments();
+    }
+
+    // Photos go to their own store and the records keep references; if the records
+    // can't be written, the photos are removed again
+    async storeWithAttachments(records, write) {
+        const stored = await Promise.all(records.map(async record => (
+            record.attachments?.length
+                ? { ...record, attachments: await storage.saveAttachments(record.attachments) }
+                : record
+        )));
+
+        try {
+            return await write(stored);
+        } catch (error) {
+            await storage.removeAttachments(stored);
+            throw error;
+        }
+    }
+
+    async createBooking(data, { idempotencyKey } = {}) {
+        try {
+            const existing = idempotencyKey && this.bookings.findByIdempotencyKey(idempotencyKey);
+            if (existing) return existing;
+
+            return await this.storeWithAttachments([{ ...data, idempotencyKey }], ([booking]) => this.bookings.add(booking));
+        } catch (error) {
+            throw this.toTransportError(error);
+        }
+    }
+
+    async createBookingGroup(members, { idempotencyKey } = {}) {
+        try {
+            const existing = idempotencyKey && this.bookings.findByIdempotencyKey(idempotencyKey);
+            if (existing) return this.bookings.getGroup(existing.groupId);
+
+            const [lead, ...guests] = members;
+            return await this.storeWithAttachments([{ ...lead, idempotencyKey }, ...guests], group => this.bookings.addGroup(group));
+        } catch (error) {
+            throw this.toTransportError(error);
+        }
+    }
+
+    async createBookingSeries(occurrences, { idempotencyKey } = {}) {
+        try {
+            const existing = idempotencyKey && this.bookings.findByIdempotencyKey(idempotencyKey);
+            if (existing) return this.bookings.getSeries(existing.seriesId);
+
+            const [first, ...rest] = occurrences;
+            return await this.storeWithAttachments([{ ...first, idempotencyKey }, ...rest], series => this.bookings.addSeries(series));
+        } catch (error) {
+            throw this.toTransportError(error);
+        }
+    }
+
+    async findBooking(reference, contact) {
+        return this.bookings.findByReference(reference, contact);
+    }
+
+    async findBookingGroup(groupId, contact) {
+        if (!this.bookings.findByReference(groupId, contact)) return [];
+        return this.bookings.getGroup(groupId);
+    }
+
+    async findBookingSeries(seriesId, contact) {
+        if (!this.bookings.findByReference(seriesId, contact)) return [];
+        return this.bookings.getSeries(seriesId);
+    }
+
+    async updateBooking(id, changes) {
+        try {
+            const booking = await this.bookings.update(id, changes);
+            if (!booking) throw new TransportError('not_found', `Booking ${id} not found`);
+            return booking;
+        } catch (error) {
+            throw this.toTransportError(error);
+        }
+    }
+
+    async updateBookings(updates) {
+        try {
+            const bookings = await this.bookings.updateMany(updates);
+            if (!bookings) throw new TransportError('not_found', 'A booking in the batch was not found');
+            return bookings;
+        } catch (error) {
+            throw this.toTransportError(error);
+        }
+    }
+
+    async createMessage(data, { idempotencyKey } = {}) {
+        try {
+            const messages = this.messages.getAll();
+            const existing = idempotencyKey && messages.find(message => message.idempotencyKey === idempotencyKey);
+            if (existing) return existing;
+
+            const message = {
+                ...data,
+                idempotencyKey,
+                id: utils.generateId(),
+                timestamp: new Date().toISOString(),
+                status: 'new'
+            };
+            return await this.storeWithAttachments([message], async ([stored]) => {
+                await this.messages.save([...messages, stored]);
+                return stored;
+            });
+        } catch (error) {
+            throw this.toTransportError(error);
+        }
+    }
+
+    // Signing up twice with the same address keeps the first signup
+    async createSubscription(data, { idempotencyKey } = {}) {
+        try {
+            const subscribers = this.subscribers.getAll();
+            const email = (data.newsletterEmail || '').trim().toLowerCase();
+            const existing = subscribers.find(subscriber =>
+                (idempotencyKey && subscriber.idempotencyKey === idempotencyKey) || subscriber.email === email
+            );
+            if (existing) return existing;
+
+            const subscriber = {
+                email,
+                consent: data.consent,
+                idempotencyKey,
+                id: utils.generateId(),
+                timestamp: new Date().toISOString()
+            };
+            await this.subscribers.save([...subscribers, subscriber]);
+            return subscriber;
+        } catch (error) {
+            throw this.toTransportError(error);
+        }
+    }
+
+    isSender(message, contact) {
+        return utils.isSameContact(contact, { email: message.contactEmail, phone: message.contactPhone });
+    }
+
+    async exportPersonalData(contact) {
+        return {
+            bookings: await storage.withAttachmentData(this.bookings.findByContact(contact)),
+            messages: await storage.withAttachmentData(this.messages.getAll().filter(message => this.isSender(message, contact))),
+            subscriptions: this.subscribers.getAll().filter(subscriber => utils.isSameContact(contact, subscriber))
+        };
+    }
+
+    async erasePersonalData(contact) {
+        try {
+            const messages = this.messages.getAll();
+            const subscribers = this.subscribers.getAll();
+            const keptMessages = messages.filter(message => !this.isSender(message, contact));
+            const keptSubscribers = subscribers.filter(subscriber => !utils.isSameContact(contact, subscriber));
+            await Promise.all([this.messages.save(keptMessages), this.subscribers.save(keptSubscribers)]);
+            await storage.removeAttachments(messages.filter(message => !keptMessages.includes(message)));
+
+            return {
+                bookings: await this.bookings.removeWhere(booking => this.bookings.isClient(booking, contact)),
+                messages: messages.length - keptMessages.length,
+                subscriptions: subscribers.length - keptSubscribers.length
+            };
+        } catch (error) {
+            throw this.toTransportError(error);
+        }
+    }
+
+    async expireRecords({ bookingsBefore, messagesBefore }) {
+        await this.bookings.removeWhere(booking => booking.preferredDate < bookingsBefore);
+
+        const messages = this.messages.getAll();
+        const kept = messages.filter(message => !(message.timestamp < messagesBefore));
+        if (kept.length !== messages.length) {
+            await this.messages.save(kept);
+            await storage.removeAttachments(messages.filter(message => !kept.includes(message)));
+        }
+    }
+}
+
+// Talks JSON to a booking API:
+//   POST  {baseUrl}/bookings                    create a booking
+//   POST  {baseUrl}/booking-groups              create linked bookings for a group -> { bookings }
+//   GET   {baseUrl}/bookings/:ref?contact=...   look up a booking
+//   GET   {baseUrl}/booking-groups/:ref?contact=...  look up a group's bookings -> { bookings }
+//   POST  {baseUrl}/booking-series              create the visits of a repeating booking -> { bookings }
+//   GET   {baseUrl}/booking-series/:ref?contact=...  look up a series' visits -> { bookings }
+//   PATCH {baseUrl}/bookings/:id                reschedule or cancel
+//   PATCH {baseUrl}/bookings                    { updates: [{ id, changes }] }, applied together -> { bookings }
+//   GET   {baseUrl}/availability?date=&time=&duration=&barber=  check a slot -> { available }
+//   POST  {baseUrl}/messages                    send a contact message
+//   POST  {baseUrl}/subscriptions               sign up for the newsletter
+//   GET   {baseUrl}/personal-data?contact=...   everything held for an email or phone
+//                                               -> { bookings, messages, subscriptions }
+//   DELETE {baseUrl}/personal-data?contact=...  erase it -> { bookings, messages, subscriptions } counts
+// Bookings the server returns are cached locally so slots and the manage view stay current.
+// The server owns identity checks for personal data requests (e.g. a confirmation email)
+// and its own retention; only the local cache is expired here.
+class HttpTransport {
+    constructor({
+        baseUrl,
+        timeout = CONSTANTS.API_TIMEOUT,
+        maxRetries = CONSTANTS.API_MAX_RETRIES,
+        retryBaseDelay = CONSTANTS.API_RETRY_BASE_DELAY
+    } = {}) {
+        if (!baseUrl) {
+            throw new Error('HttpTransport needs a baseUrl');
+        }
+
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.timeout = timeout;
+        this.maxRetries = maxRetries;
+        this.retryBaseDelay = retryBaseDelay;
+        this.cache = new BookingStore();
+    }
+
+    // Resolves to { queued: true } when the service worker kept it for later delivery
+    async createBooking(data, { idempotencyKey } = {}) {
+        const booking = await this.request('POST', '/bookings', data, { idempotencyKey });
+        return booking?.queued ? booking : (await this.cacheBookings([booking]))[0];
+    }
+
+    async createBookingGroup(members, { idempotencyKey } = {}) {
+        const result = await this.request('POST', '/booking-groups', { bookings: members }, { idempotencyKey });
+        return result?.queued ? result : this.cacheBookings(result.bookings);
+    }
+
+    async findBookingGroup(groupId, contact) {
+        return this.findLinked(`/booking-groups/${encodeURIComponent(groupId)}`, contact);
+    }
+
+    async createBookingSeries(occurrences, { idempotencyKey } = {}) {
+        const result = await this.request('POST', '/booking-series', { bookings: occurrences }, { idempotencyKey });
+        return result?.queued ? result : this.cacheBookings(result.bookings);
+    }
+
+    async findBookingSeries(seriesId, contact) {
+        return this.findLinked(`/booking-series/${encodeURIComponent(seriesId)}`, contact);
+    }
+
+    // Shared lookup for groups and series, which both answer { bookings }
+    async findLinked(path, contact) {
+        try {
+            const result = await this.request('GET', `${path}?contact=${encodeURIComponent(contact.trim())}`);
+            return await this.cacheBookings(result.bookings);
+        } catch (error) {
+            if (error.code === 'not_found') return [];
+            throw error;
+        }
+    }
+
+    async findBooking(reference, contact) {
+        const path = `/bookings/${encodeURIComponent(reference.trim().toLowerCase())}?contact=${encodeURIComponent(contact.trim())}`;
+
+        try {
+            const booking = await this.request('GET', path);
+            return (await this.cacheBookings([booking]))[0];
+        } catch (error) {
+            if (error.code === 'not_found') return null;
+            throw error;
+        }
+    }
+
+    async updateBooking(id, changes) {
+        const booking = await this.request('PATCH', `/bookings/${encodeURIComponent(id)}`, changes, {
+            idempotencyKey: utils.generateIdempotencyKey()
+        });
+        return (await this.cacheBookings([booking]))[0];
+    }
+
+    // One request, so the server moves or cancels a whole group or series together
+    async updateBookings(updates) {
+        const result = await this.request('PATCH', '/bookings', { updates }, {
+            idempotencyKey: utils.generateIdempotencyKey()
+        });
+        return this.cacheBookings(result.bookings);
+    }
+
+    // The server's copy is the one that counts, so a full device only costs the local cache.
+    // Photos stay on the server; the cache keeps their details without the images.
+    async cacheBookings(bookings) {
+        try {
+            await Promise.all(bookings.map(booking => this.cache.put({
+                ...booking,
+                ...(booking.attachments && {
+                    attachments: booking.attachments.map(({ dataUrl, ...reference }) => reference)
+                })
+            })));
+        } catch (error) {
+            storage.reportError(error);
+        }
+        return bookings;
+    }
+
+    async createMessage(data, { idempotencyKey } = {}) {
+        return this.request('POST', '/messages', data, { idempotencyKey });
+    }
+
+    async createSubscription(data, { idempotencyKey } = {}) {
+        return this.request('POST', '/subscriptions', {
+            email: data.newsletterEmail.trim(),
+            consent: data.consent
+        }, { idempotencyKey });
+    }
+
+    async exportPersonalData(contact) {
+        return this.request('GET', `/personal-data?contact=${encodeURIComponent(contact.trim())}`);
+    }
+
+    async erasePersonalData(contact) {
+        const result = await this.request('DELETE', `/personal-data?contact=${encodeURIComponent(contact.trim())}`, null, {
+            idempotencyKey: utils.generateIdempotencyKey()
+        });
+        await this.cache.removeWhere(booking => this.cache.isClient(booking, contact));
+        return result;
+    }
+
+    async expireRecords({ bookingsBefore }) {
+        await this.cache.removeWhere(booking => booking.preferredDate < bookingsBefore);
+    }
+
+    // Optional for transports: lets forms confirm a slot against bookings made elsewhere
+    async checkAvailability({ date, time, duration, barber, excludeIds = [] }) {
+        const query = new URLSearchParams({ date, time, duration: String(duration), barber });
+        if (excludeIds.length) query.set('exclude', excludeIds.join(','));
+        // Advisory only, so a single attempt: the booking request itself is retried
+        return this.send('GET', `/availability?${query}`);
+    }
+
+    // Send a request, retrying transient failures with exponential backoff
+    async request(method, path, body = null, { idempotencyKey = null } = {}) {
+        let attempt = 0;
+
+        while (true) {
+            try {
+                return await this.send(method, path, body, idempotencyKey);
+            } catch (error) {
+                if (!error.retryable || attempt >= this.maxRetries) throw error;
+
+                const backoff = this.retryBaseDelay * 2 ** attempt;
+                const jitter = Math.random() * this.retryBaseDelay;
+                await utils.wait(error.retryAfter ?? backoff + jitter);
+                attempt++;
+            }
+        }
+    }
+
+    async send(method, path, body, idempotencyKey) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        const headers = { 'Accept': 'application/json' };
+        if (body) headers['Content-Type'] = 'application/json';
+        if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new TransportError('timeout', `Request timed out after ${this.timeout}ms`, { retryable: true });
+            }
+            const code = navigator.onLine === false ? 'offline' : 'network';
+            throw new TransportError(code, error.message, { retryable: true });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const payload = await response.json().catch(() => null);
+
+        if (response.ok) {
+            return payload;
+        }
+
+        throw this.toError(response, payload);
+    }
+
+    toError(response, payload) {
+        const { status } = response;
+        const details = payload && typeof payload === 'object' ? payload : null;
+        const message = details?.message || `HTTP ${status}`;
+
+        if (status === 400 || status === 422) return new TransportError('validation', message, { status, details });
+        if (status === 401 || status === 403) return new TransportError('forbidden', message, { status, details });
+        if (status === 404) return new TransportError('not_found', message, { status, details });
+        if (status === 409) return new TransportError('conflict', message, { status, details });
+
+        if (status === 408 || status === 429 || status >= 500) {
+            const code = status === 429 ? 'rate_limited' : status === 408 ? 'timeout' : 'server';
+            const error = new TransportError(code, message, { status, details, retryable: true });
+            const retryAfter = Number(response.headers.get('Retry-After'));
+            if (retryAfter > 0) error.retryAfter = retryAfter * 1000;
+            return error;
+        }
+
+        return new TransportError('unknown', message, { status, details });
+    }
+}
+
+// Picks the transport named in window.CUT_CROWN_CONFIG, e.g.
+//   window.CUT_CROWN_CONFIG = { transport: 'http', apiBaseUrl: 'http://localhost:3001/api' };
+// Other adapters can be added with transports.register(name, factory).
+const transports = {
+    factories: {
+        local: () => new LocalStorageTransport(),
+        http: (config) => new HttpTransport({
+            baseUrl: config.apiBaseUrl,
+            timeout: config.apiTimeout,
+            maxRetries: config.apiMaxRetries
+        })
+    },
+    instance: null,
+
+    register(name, factory) {
+        this.factories[name] = factory;
+        this.instance = null;
+    },
+
+    get() {
+        if (!this.instance) {
+            const config = window.CUT_CROWN_CONFIG || {};
+            const factory = this.factories[config.transport] || this.factories.local;
+            this.instance = factory(config);
+        }
+        return this.instance;
+    }
+};
+
+// ===== PRIVACY =====
+// Consent records and the rest of what the site keeps in this browser about a visitor.
+// Records held by the backend (bookings, messages, signups) go through the transport;
+// everything else here is device data.
+const privacy = {
+    performanceKey: 'cutCrownPerformance',
+    deviceKeys: ['theme', 'cutCrownLanguage', 'cutCrownSubmissionLog', 'cutCrownSlideshowInterval'],
+    draftPrefix: 'cutCrownDraft-',
+
+    // What a consent checkbox agreed to, sent along with the submission
+    describeConsent(purpose, text) {
+        return {
+            purpose,
+            policyVersion: PRIVACY_POLICY.version,
+            text: text.replace(/\s+/g, ' ').trim(),
+            givenAt: new Date().toISOString()
+        };
+    },
+
+    // Kept on this device too, so the visitor can see what they agreed to and when
+    recordConsent(consent, { email = '', phone = '', recordId = null } = {}) {
+        const consents = storage.collection('consents');
+        consents.save([...consents.getAll(), { ...consent, id: utils.generateId(), email, phone, recordId }])
+            .catch(error => storage.reportError(error));
+    },
+
+    getConsents() {
+        return storage.collection('consents').getAll();
+    },
+
+    getDraftKeys() {
+        return storage.keys(this.draftPrefix);
+    },
+
+    // Drafts are decrypted where this browser still has the key
+    async getDeviceData(contact) {
+        // Preferences such as the theme are plain strings rather than JSON
+        const read = (key) => {
+            const value = localStorage.getItem(key);
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value;
+            }
+        };
+
+        const drafts = await Promise.all(this.getDraftKeys().map(async key => {
+            const stored = storage.read(key, {});
+            const draft = { form: key.slice(this.draftPrefix.length), savedAt: stored.savedAt };
+            try {
+                return { ...draft, ...await draftCrypto.decrypt(stored) };
+            } catch (error) {
+                return { ...draft, unreadable: true };
+            }
+        }));
+
+        return {
+            consents: this.getConsents().filter(consent => utils.isSameContact(contact, consent)),
+            drafts,
+            preferences: Object.fromEntries(this.deviceKeys.map(key => [key, read(key)])),
+            performance: storage.read(this.performanceKey)
+        };
+    },
+
+    async eraseDeviceData(contact) {
+        const consents = this.getConsents();
+        const kept = consents.filter(consent => !utils.isSameContact(contact, consent));
+        await storage.collection('consents').save(kept);
+
+        [...this.deviceKeys, this.performanceKey, ...this.getDraftKeys()].forEach(key => storage.remove(key));
+        return consents.length - kept.length;
+    },
+
+    // Drop records that are past PRIVACY_POLICY.retentionDays; runs on every page load
+    async applyRetention() {
+        const { retentionDays } = PRIVACY_POLICY;
+        const since = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+        try {
+            const performance = storage.read(this.performanceKey);
+            if (performance && !(performance.timestamp >= since(retentionDays.performance))) {
+                storage.remove(this.performanceKey);
+            }
+
+            // Drafts expire sooner, but are only checked when their own form is opened
+            this.getDraftKeys().forEach(key => {
+                const savedAt = storage.read(key, {})?.savedAt;
+                if (!(Date.now() - Date.parse(savedAt) < CONSTANTS.DRAFT_MAX_AGE_HOURS * 60 * 60 * 1000)) {
+                    storage.remove(key);
+                }
+            });
+
+            await transports.get().expireRecords?.({
+                bookingsBefore: utils.addDays(utils.toDateKey(new Date()), -retentionDays.bookings),
+                messagesBefore: since(retentionDays.messages)
+            });
+
+            const consents = this.getConsents();
+            const kept = consents.filter(consent => consent.givenAt >= since(retentionDays.consents));
+            if (kept.length !== consents.length) {
+                await storage.collection('consents').save(kept);
+            }
+        } catch (error) {
+            console.warn('Could not apply data retention:', error);
+        }
+    }
+};
+
+// ===== BOOKING CART =====
+// A main service plus any add-ons, priced and timed as line items
+const bookingCart = {
+    getLineItems(serviceId, addOnIds = []) {
+        const items = [];
+
+        const service = SERVICES[serviceId];
+        if (service) {
+            items.push({ type: 'service', id: serviceId, name: service.name, price: service.price, duration: service.duration });
+        }
+
+        addOnIds.forEach(id => {
+            const addOn = ADD_ONS[id];
+            if (addOn) {
+                items.push({ type: 'addOn', id, name: addOn.name, price: addOn.price, duration: addOn.duration });
+            }
+        });
+
+        return items;
+    },
+
+    getTotals(items) {
+        return items.reduce((totals, item) => ({
+            price: totals.price + item.price,
+            duration: totals.duration + item.duration
+        }), { price: 0, duration: 0 });
+    },
+
+    // Stored line items, or rebuilt ones for bookings made before add-ons existed
+    getBookingItems(booking) {
+        return booking.lineItems?.length
+            ? booking.lineItems
+            : this.getLineItems(booking.service, booking.addOns || []);
+    },
+
+    // Display name in the page language; stored line items keep the English name
+    getItemName(item) {
+        return i18n.t(`${item.type === 'service' ? 'services' : 'addOns'}.${item.id}`, {}, item.name);
+    },
+
+    // e.g. "Classic Haircut + Eyebrow Trim"
+    describe(booking) {
+        return this.getBookingItems(booking).map(item => this.getItemName(item)).join(' + ') || booking.service;
+    }
+};
+
+// ===== AVAILABILITY MANAGER =====
+class AvailabilityManager {
+    constructor() {
+        this.store = new BookingStore();
+    }
+
+    getBookings() {
+        return this.store.getAll();
+    }
+
+    // Bookings that still occupy a chair
+    getActiveBookings(dateKey) {
+        return this.getBookings().filter(booking =>
+            booking.preferredDate === dateKey && booking.status !== 'cancelled'
+        );
+    }
+
+    getServiceDuration(serviceId) {
+        return SERVICES[serviceId]?.duration || CONSTANTS.SLOT_INTERVAL_MINUTES;
+    }
+
+    getBookingDuration(booking) {
+        return Number(booking.duration) || this.getServiceDuration(booking.service);
+    }
+
+    // Chair time for a form context: the cart total when given, else the main service
+    getContextDuration({ service, duration }) {
+        return Number(duration) || this.getServiceDuration(service);
+    }
+
+    // Everyone to seat for a form context: the customer first, then guests, who can have any barber
+    getContextMembers(context) {
+        return [
+            { duration: this.getContextDuration(context), barber: context.barber || 'any' },
+            ...(context.guests || []).map(guest => ({
+                duration: this.getContextDuration(guest),
+                barber: 'any'
+            }))
+        ];
+    }
+
+    // Resolve 'any' (or an empty choice) to every barber id
+    getCandidateBarbers(barberId) {
+        return !barberId || barberId === 'any' ? Object.keys(BARBERS) : [barberId];
+    }
+
+    // Shop opening hours for a date in minutes, or null when the shop is closed
+    getOpeningHours(dateKey) {
+        const hours = BUSINESS_HOURS[utils.parseDateKey(dateKey).getDay()];
+        if (!hours) return null;
+
+        return {
+            open: utils.timeToMinutes(hours.open),
+            close: utils.timeToMinutes(hours.close)
+        };
+    }
+
+    // A barber's working hours for a date, limited to shop hours; null on days off
+    getBarberHours(barberId, dateKey) {
+        const barber = BARBERS[barberId];
+        const shopHours = this.getOpeningHours(dateKey);
+        if (!barber || !shopHours || barber.daysOff.includes(dateKey)) return null;
+
+        const hours = barber.hours[utils.parseDateKey(dateKey).getDay()];
+        if (!hours) return null;
+
+        return {
+            open: Math.max(shopHours.open, utils.timeToMinutes(hours.open)),
+            close: Math.min(shopHours.close, utils.timeToMinutes(hours.close))
+        };
+    }
+
+    isClosed(dateKey) {
+        return this.getOpeningHours(dateKey) === null;
+    }
+
+    // True when none of the requested barbers works on the date
+    isBarberOff(dateKey, barberId = 'any') {
+        return this.getCandidateBarbers(barberId).every(id => !this.getBarberHours(id, dateKey));
+    }
+
+    isPastDate(dateKey, now = new Date()) {
+        return dateKey < utils.toDateKey(now);
+    }
+
+    // Check one barber's start time against their hours, the clock and their bookings
+    checkBarberSlot(barberId, dateKey, time, duration, { excludeId = null, excludeIds = [], now = new Date() } = {}) {
+        if (this.isClosed(dateKey)) return { available: false, reason: 'closed' };
+
+        const hours = this.getBarberHours(barberId, dateKey);
+        if (!hours) return { available: false, reason: 'day-off' };
+
+        const start = utils.timeToMinutes(time);
+        const end = start + duration;
+
+        if (start < hours.open || end > hours.close) {
+            return { available: false, reason: 'outside-hours' };
+        }
+
+        if (this.isPastDate(dateKey, now)) {
+            return { available: false, reason: 'past' };
+        }
+
+        if (dateKey === utils.toDateKey(now) && start <= now.getHours() * 60 + now.getMinutes()) {
+            return { available: false, reason: 'past' };
+        }
+
+        // Bookings made before barbers were tracked have no barber, so they block everyone
+        const isTaken = this.getActiveBookings(dateKey).some(booking => {
+            if (booking.id === excludeId || excludeIds.includes(booking.id) || !booking.preferredTime) return false;
+            if (booking.barber && booking.barber !== barberId) return false;
+            const bookingStart = utils.timeToMinutes(booking.preferredTime);
+            const bookingEnd = bookingStart + this.getBookingDuration(booking);
+            return start < bookingEnd && bookingStart < end;
+        });
+
+        return isTaken
+            ? { available: false, reason: 'taken' }
+            : { available: true, reason: null };
+    }
+
+    // Check a start time for a barber or 'any'; reports which barber is free
+    checkSlot(dateKey, time, duration, { barber = 'any', ...options } = {}) {
+        const results = this.getCandidateBarbers(barber).map(barberId => ({
+            barber: barberId,
+            ...this.checkBarberSlot(barberId, dateKey, time, duration, options)
+        }));
+
+        const free = results.find(result => result.available);
+        if (free) return free;
+
+        // Report the most useful reason when no one is free
+        const priority = ['taken', 'past', 'outside-hours', 'day-off', 'closed'];
+        const reason = priority.find(candidate => results.some(result => result.reason === candidate));
+        return { available: false, reason: reason || 'closed', barber: null };
+    }
+
+    // Seat a whole group from one start time: side by side with different barbers ('parallel'),
+    // one after another ('consecutive'), or whichever fits ('auto', side by side first).
+    // Resolves to { available, reason, barber, assignments: [{ time, endTime, barber }] }.
+    checkGroupSlot(dateKey, time, members, { mode = 'auto', ...options } = {}) {
+        const modes = mode === 'auto' ? ['parallel', 'consecutive'] : [mode];
+
+        for (const candidate of modes) {
+            const starts = [];
+            members.forEach((member, index) => {
+                starts.push(candidate === 'parallel' || index === 0
+                    ? utils.timeToMinutes(time)
+                    : starts[index - 1] + members[index - 1].duration);
+            });
+
+            const assignments = this.assignBarbers(dateKey, members, starts, options);
+            if (assignments) {
+                return { available: true, reason: null, barber: assignments[0].barber, assignments, mode: candidate };
+            }
+        }
+
+        // Explain with the customer's own slot when that is the problem
+        const lead = this.checkSlot(dateKey, time, members[0].duration, { ...options, barber: members[0].barber });
+        return { available: false, reason: lead.available ? 'group' : lead.reason, barber: null, assignments: [] };
+    }
+
+    // Backtracking search for a barber per member that avoids both stored bookings and the rest of the group
+    assignBarbers(dateKey, members, starts, options) {
+        const assignments = [];
+
+        const place = (index) => {
+            if (index === members.length) return true;
+
+            const start = starts[index];
+            const end = start + members[index].duration;
+
+            for (const barberId of this.getCandidateBarbers(members[index].barber)) {
+                const clashesWithGroup = assignments.some(assignment =>
+                    assignment.barber === barberId && start < assignment.end && assignment.start < end
+                );
+                if (clashesWithGroup) continue;
+
+                const slot = this.checkBarberSlot(barberId, dateKey, utils.minutesToTime(start), members[index].duration, options);
+                if (!slot.available) continue;
+
+                assignments.push({ barber: barberId, start, end });
+                if (place(index + 1)) return true;
+                assignments.pop();
+            }
+            return false;
+        };
+
+        if (!place(0)) return null;
+
+        return assignments.map(({ barber, start, end }) => ({
+            barber,
+            time: utils.minutesToTime(start),
+            endTime: utils.minutesToTime(end)
+        }));
+    }
+
+    // Check a form context (single customer or group) at a start time
+    checkContextSlot(context, time) {
+        const members = this.getContextMembers(context);
+        const options = { excludeId: context.excludeId, excludeIds: context.excludeIds || [] };
+
+        if (members.length > 1) {
+            return this.checkGroupSlot(context.date, time, members, { ...options, mode: context.groupMode });
+        }
+
+        const slot = this.checkSlot(context.date, time, members[0].duration, { ...options, barber: members[0].barber });
+        return {
+            ...slot,
+            assignments: slot.available
+                ? [{ barber: slot.barber, time, endTime: utils.minutesToTime(utils.timeToMinutes(time) + members[0].duration) }]
+                : []
+        };
+    }
+
+    // Dates of a repeating appointment: every `interval` weeks from the first date until the
+    // visit count or end date is reached, capped at MAX_SERIES_OCCURRENCES
+    getSeriesDates(startDate, { interval, endType, count, until }) {
+        const dates = [];
+        for (let index = 0; index < CONSTANTS.MAX_SERIES_OCCURRENCES; index++) {
+            const date = utils.addDays(startDate, index * interval * 7);
+            if (endType === 'until' ? !until || date > until : index >= count) break;
+            dates.push(date);
+        }
+        return dates;
+    }
+
+    // Check every visit of a series at the same time; unavailable dates are reported, not moved
+    planSeries(context, time, recurrence) {
+        return this.getSeriesDates(context.date, recurrence).map(date => ({
+            date,
+            ...this.checkContextSlot({ ...context, date }, time)
+        }));
+    }
+
+    // Every start time that fits the service within the working hours of the requested barber(s)
+    getSlots(dateKey, duration, options = {}) {
+        const windows = this.getCandidateBarbers(options.barber)
+            .map(barberId => this.getBarberHours(barberId, dateKey))
+            .filter(Boolean);
+        if (!windows.length) return [];
+
+        const open = Math.min(...windows.map(window => window.open));
+        const close = Math.max(...windows.map(window => window.close));
+
+        const slots = [];
+        for (let start = open; start + duration <= close; start += CONSTANTS.SLOT_INTERVAL_MINUTES) {
+            const time = utils.minutesToTime(start);
+            const slot = options.members?.length > 1
+                ? this.checkGroupSlot(dateKey, time, options.members, options)
+                : this.checkSlot(dateKey, time, duration, options);
+
+            // Gaps between two barbers' shifts are not worth listing
+            if (slot.reason !== 'outside-hours') {
+                slots.push({ time, ...slot });
+            }
+        }
+        return slots;
+    }
+
+    // Rule types shared by every form that picks a date and time.
+    // getContext returns { date, service, duration, barber, excludeId, guests, groupMode } for the form being checked.
+    registerValidators(validator, getContext) {
+        validator.addValidator('openDay', (value) =>
+            !this.isClosed(value)
+        );
+
+        validator.addValidator('knownBarber', (value) =>
+            !value || value === 'any' || Boolean(BARBERS[value])
+        );
+
+        validator.addValidator('barberWorking', (value) =>
+            this.isClosed(value) || !this.isBarberOff(value, getContext().barber)
+        );
+
+        // Async: after the local check, a backend that can answer confirms the slot is still free
+        validator.addValidator('slotAvailable', async (value) => {
+            const context = getContext();
+            if (!context.date || !context.service) return true;
+
+            const slot = this.checkContextSlot(context, value);
+            if (!slot.available) return false;
+
+            const transport = transports.get();
+            if (!transport.checkAvailability) return true;
+
+            const { available } = await transport.checkAvailability({
+                date: context.date,
+                time: value,
+                duration: this.getContextDuration(context),
+                barber: slot.barber,
+                excludeIds: [context.excludeId, ...(context.excludeIds || [])].filter(Boolean)
+            });
+            return available;
+        });
+    }
+
+    // Fill a time <select> with the slots for the given context, keeping a still-valid choice
+    renderTimeOptions(timeField, context) {
+        const { date, service, barber = 'any', excludeId = null, excludeIds = [], groupMode = 'auto' } = context;
+        if (!timeField) return;
+
+        const previousValue = timeField.value;
+
+        const setPlaceholder = (text) => {
+            timeField.innerHTML = '';
+            timeField.appendChild(new Option(text, ''));
+        };
+
+        if (!date || !service) {
+            setPlaceholder(i18n.t('times.selectFirst'));
+            return;
+        }
+
+        if (this.isPastDate(date)) {
+            setPlaceholder(i18n.t('times.futureDate'));
+            return;
+        }
+
+        if (this.isClosed(date)) {
+            setPlaceholder(i18n.t('times.closed'));
+            return;
+        }
+
+        if (this.isBarberOff(date, barber)) {
+            setPlaceholder(i18n.t('times.barberOff', { barber: BARBERS[barber]?.name || i18n.t('times.thisBarber') }));
+            return;
+        }
+
+        const members = this.getContextMembers(context);
+        const slots = this.getSlots(date, members[0].duration, {
+            barber, excludeId, excludeIds, members, mode: groupMode
+        });
+
+        if (!slots.some(slot => slot.available)) {
+            setPlaceholder(i18n.t('times.none'));
+            return;
+        }
+
+        setPlaceholder(i18n.t('times.choose'));
+
+        slots.forEach(slot => {
+            const label = slot.available
+                ? utils.formatTime(slot.time)
+                : i18n.t('times.unavailable', {
+                    time: utils.formatTime(slot.time),
+                    reason: i18n.t(`times.reasons.${slot.reason}`, {}, null) || i18n.t('times.reasons.other')
+                });
+            const option = new Option(label, slot.time);
+            option.disabled = !slot.available;
+            timeField.appendChild(option);
+        });
+
+        // Keep the previous choice if it is still bookable
+        if (slots.some(slot => slot.available && slot.time === previousValue)) {
+            timeField.value = previousValue;
+        }
+    }
+}
+
+// ===== CALENDAR EXPORT =====
+// Builds RFC 5545 iCalendar files for bookings. The output only depends on the
+// booking record, so the same booking always produces the same file; that's also
+// why it stays in English whatever language the page is showing.
+const calendarExport = {
+    reminderMinutes: 60,
+    locale: LANGUAGES[DEFAULT_LANGUAGE].locale,
+
+    escapeText(value) {
+        return String(value ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    },
+
+    // Lines longer than 75 octets continue on the next line after a space
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+
+        for (const char of line) {
+            const charBytes = encoder.encode(char).length;
+            const limit = parts.length ? 74 : 75;
+            if (currentBytes + charBytes > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += charBytes;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    },
+
+    // Floating local time, e.g. 20261027T120000 (used with TZID)
+    formatLocal(dateKey, minutes) {
+        return `${dateKey.replace(/-/g, '')}T${utils.minutesToTime(minutes).replace(':', '')}00`;
+    },
+
+    // UTC time, e.g. 20261019T020000Z
+    formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    },
+
+    getStatus(booking) {
+        if (booking.status === 'cancelled') return 'CANCELLED';
+        if (booking.status === 'confirmed' || booking.status === 'completed') return 'CONFIRMED';
+        return 'TENTATIVE';
+    },
+
+    buildEvent(booking) {
+        const start = utils.timeToMinutes(booking.preferredTime);
+        const items = bookingCart.getBookingItems(booking);
+        const { price, duration: itemsDuration } = bookingCart.getTotals(items);
+        const duration = Number(booking.duration) || itemsDuration || CONSTANTS.SLOT_INTERVAL_MINUTES;
+        const title = items.length ? items.map(item => item.name).join(' + ') : 'Appointment';
+        const barber = BARBERS[booking.barber];
+        const stamp = new Date(booking.updatedAt || booking.timestamp || Date.now());
+        const sequence = (booking.history || []).filter(entry => entry.action === 'rescheduled').length;
+
+        const description = [
+            `Booking reference: ${booking.id.toUpperCase()}`,
+            ...items.map(item => `${item.type === 'service' ? 'Service' : 'Add-on'}: ${item.name} (${utils.formatPrice(item.price, this.locale)})`),
+            items.length ? `Total: ${utils.formatPrice(price, this.locale)}` : null,
+            `Duration: ${duration} minutes`,
+            barber ? `Barber: ${barber.name}` : null,
+            `Questions or changes: ${BUSINESS_INFO.phone}`
+        ].filter(Boolean).join('\n');
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:-//${BUSINESS_INFO.name}//Booking//EN`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'BEGIN:VTIMEZONE',
+            `TZID:${BUSINESS_INFO.timeZone}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            'TZOFFSETFROM:+0530',
+            'TZOFFSETTO:+0530',
+            'TZNAME:IST',
+            'END:STANDARD',
+            'END:VTIMEZONE',
+            'BEGIN:VEVENT',
+            `UID:${booking.id}@${BUSINESS_INFO.domain}`,
+            `DTSTAMP:${this.formatUtc(stamp)}`,
+            `SEQUENCE:${sequence}`,
+            `DTSTART;TZID=${BUSINESS_INFO.timeZone}:${this.formatLocal(booking.preferredDate, start)}`,
+            `DTEND;TZID=${BUSINESS_INFO.timeZone}:${this.formatLocal(booking.preferredDate, start + duration)}`,
+            `SUMMARY:${this.escapeText(`${title} at ${BUSINESS_INFO.name}`)}`,
+            `DESCRIPTION:${this.escapeText(description)}`,
+            `LOCATION:${this.escapeText(BUSINESS_INFO.address)}`,
+            `STATUS:${this.getStatus(booking)}`,
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `TRIGGER:-PT${this.reminderMinutes}M`,
+            `DESCRIPTION:${this.escapeText(`${title} at ${BUSINESS_INFO.name} in 1 hour`)}`,
+            'END:VALARM',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ];
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    },
+
+    download(booking) {
+        utils.downloadFile(
+            this.buildEvent(booking),
+            `cut-crown-booking-${booking.id}.ics`,
+            'text/calendar;charset=utf-8'
+        );
+    }
+};
+
+// ===== BOOKING FORM MANAGER =====
+class BookingManager extends FormController {
+    constructor() {
+        super({
+            formId: 'bookingForm',
+            spam: { kind: 'booking' },
+            draft: { label: 'booking' },
+            silentMessage: 'booking.silent',
+            queuedMessage: 'booking.queued'
+        });
+    }
+
+    setup() {
+        this.availability = new AvailabilityManager();
+        this.guestCount = 0;
+
+        this.registerAvailabilityValidators();
+
+        // Rebuild time options whenever the date, service or barber changes
+        ['preferredDate', 'service', 'barber'].forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            if (field) {
+                field.addEventListener('change', () => this.updateTimeSlots());
+            }
+        });
+
+        // Add-ons change the total and the chair time, and so the free slots
+        this.form.querySelectorAll('input[name="addOns"]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.updateTimeSlots());
+        });
+
+        this.setupGuests();
+        this.setupRepeat();
+        this.updateTimeSlots();
+        this.applyLinkedDetails();
+
+        // Guest titles, time options, the summary and the visit list are built here
+        document.addEventListener('i18n:change', () => {
+            this.updateGuestControls();
+            this.updateTimeSlots();
+        });
+
+        // A slot booked in another tab stops being offered here
+        document.addEventListener('storage:change', (e) => {
+            if (e.detail.collection === 'bookings') this.updateTimeSlots();
+        });
+    }
+
+    // A link such as index.html?service=haircut&date=2026-05-04&time=10:30#booking (from the
+    // contact form) fills in the booking; a time that has gone in the meantime is left unset
+    applyLinkedDetails() {
+        const params = new URLSearchParams(window.location.search);
+        const fields = { service: 'service', date: 'preferredDate', time: 'preferredTime' };
+        if (!Object.keys(fields).some(name => params.has(name))) return;
+
+        Object.entries(fields).forEach(([name, fieldId]) => {
+            const field = document.getElementById(fieldId);
+            const value = params.get(name);
+            if (!field || !value) return;
+
+            if (fieldId === 'preferredTime') {
+                const option = Array.from(field.options).find(item => item.value === value && !item.disabled);
+                if (option) field.value = value;
+            } else {
+                field.value = value;
+                this.updateTimeSlots();
+            }
+        });
+        this.updateRepeatPreview();
+    }
+
+    // Guest rows are added on demand, so drafts save and rebuild them separately
+    collectDraft() {
+        const guests = this.getGuests().map(({ name, service }) => ({ name, service }));
+        return guests.length ? { guests } : null;
+    }
+
+    restoreDraft(extra) {
+        this.clearGuests();
+        (extra?.guests || []).forEach(({ name, service }) => {
+            this.addGuest();
+            const rows = this.form.querySelectorAll('.guest-row');
+            const row = rows[rows.length - 1];
+            row.querySelector('[data-guest-field="name"]').value = name;
+            row.querySelector('[data-guest-field="service"]').value = service;
+        });
+        this.updateTimeSlots();
+    }
+
+    // Extra people booked in the same submission, each with a name and a service
+    setupGuests() {
+        const list = this.form.querySelector('.guest-list');
+        const addButton = this.form.querySelector('.add-guest-btn');
+        if (!list || !addButton) return;
+
+        addButton.addEventListener('click', () => this.addGuest());
+
+        list.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.guest-remove');
+            if (removeButton) {
+                removeButton.closest('.guest-row').remove();
+                this.updateGuestControls();
+                this.updateTimeSlots();
+                addButton.focus();
+            }
+        });
+
+        list.addEventListener('change', (e) => {
+            if (e.target.matches('[data-guest-field="service"]')) {
+                this.updateTimeSlots();
+            }
+        });
+
+        list.addEventListener('input', utils.debounce(() => this.updateSummary(), 300));
+
+        document.getElementById('groupMode')?.addEventListener('change', () => this.updateTimeSlots());
+    }
+
+    addGuest() {
+        const template = document.getElementById('guestTemplate');
+        const list = this.form.querySelector('.guest-list');
+        if (!template || !list || this.getGuests().length >= CONSTANTS.MAX_GROUP_GUESTS) return;
+
+        this.guestCount++;
+        const row = template.content.firstElementChild.cloneNode(true);
+
+        // Unique ids so labels and error messages stay connected
+        row.querySelectorAll('[data-guest-field]').forEach(field => {
+            const fieldId = `guest${field.dataset.guestField === 'name' ? 'Name' : 'Service'}-${this.guestCount}`;
+            field.id = fieldId;
+            field.setAttribute('aria-describedby', `${fieldId}-error`);
+            field.closest('.form-group').querySelector('.form-label').htmlFor = fieldId;
+            field.closest('.form-group').querySelector('.form-error').id = `${fieldId}-error`;
+        });
+
+        i18n.translatePage(row);
+        list.appendChild(row);
+        this.updateGuestControls();
+        row.querySelector('[data-guest-field="name"]').focus();
+    }
+
+    updateGuestControls() {
+        const count = this.getGuests().length;
+        const addButton = this.form.querySelector('.add-guest-btn');
+        const options = this.form.querySelector('.group-options');
+
+        if (addButton) {
+            addButton.hidden = count >= CONSTANTS.MAX_GROUP_GUESTS;
+            addButton.disabled = Boolean(this.getRecurrence());
+        }
+        if (options) options.hidden = count === 0;
+
+        // Group and repeat bookings don't combine
+        const repeatToggle = document.getElementById('repeatEnabled');
+        const repeatHint = this.form.querySelector('.repeat-hint');
+        if (repeatToggle) repeatToggle.disabled = count > 0;
+        if (repeatHint) repeatHint.hidden = count === 0;
+
+        this.form.querySelectorAll('.guest-row').forEach((row, index) => {
+            row.querySelector('.guest-title').textContent = i18n.t('booking.guestTitle', { number: index + 1 });
+        });
+    }
+
+    getGuests() {
+        return Array.from(this.form.querySelectorAll('.guest-row')).map(row => {
+            const nameField = row.querySelector('[data-guest-field="name"]');
+            const serviceField = row.querySelector('[data-guest-field="service"]');
+            return {
+                name: nameField.value.trim(),
+                service: serviceField.value,
+                nameField,
+                serviceField
+            };
+        });
+    }
+
+    clearGuests() {
+        this.form.querySelectorAll('.guest-row').forEach(row => row.remove());
+        this.updateGuestControls();
+    }
+
+    // Repeat the appointment every few weeks, for a number of visits or until a date
+    setupRepeat() {
+        const toggle = document.getElementById('repeatEnabled');
+        if (!toggle) return;
+
+        toggle.addEventListener('change', () => {
+            this.form.querySelector('.repeat-options').hidden = !toggle.checked;
+            this.updateGuestControls();
+            this.updateRepeatPreview();
+        });
+
+        document.getElementById('repeatEnd')?.addEventListener('change', () => {
+            this.updateRepeatEnd();
+            this.updateRepeatPreview();
+        });
+
+        ['repeatInterval', 'repeatCount', 'repeatUntil', 'preferredTime'].forEach(fieldId => {
+            document.getElementById(fieldId)?.addEventListener('change', () => this.updateRepeatPreview());
+        });
+    }
+
+    // Show the field for the chosen way of ending the series
+    updateRepeatEnd() {
+        const untilChosen = document.getElementById('repeatEnd')?.value === 'until';
+        const countGroup = this.form.querySelector('.repeat-count-group');
+        const untilGroup = this.form.querySelector('.repeat-until-group');
+        if (countGroup) countGroup.hidden = untilChosen;
+        if (untilGroup) untilGroup.hidden = !untilChosen;
+    }
+
+    getRecurrence() {
+        if (!document.getElementById('repeatEnabled')?.checked) return null;
+
+        return {
+            interval: Number(document.getElementById('repeatInterval').value) || 2,
+            endType: document.getElementById('repeatEnd').value,
+            count: Number(document.getElementById('repeatCount').value) || 2,
+            until: document.getElementById('repeatUntil').value || null
+        };
+    }
+
+    // Show every visit in the series and whether it can be booked
+    updateRepeatPreview() {
+        const preview = this.form.querySelector('.repeat-preview');
+        const recurrence = this.getRecurrence();
+        const time = document.getElementById('preferredTime')?.value;
+        const context = this.getSlotContext();
+        if (!preview) return;
+
+        preview.innerHTML = '';
+        if (!recurrence || !context.date || !context.service || !time) {
+            if (recurrence) {
+                const item = document.createElement('li');
+                item.textContent = i18n.t('booking.repeatPrompt');
+                preview.appendChild(item);
+            }
+            return;
+        }
+
+        this.availability.planSeries(context, time, recurrence).forEach(visit => {
+            const item = document.createElement('li');
+            item.classList.toggle('unavailable', !visit.available);
+            item.textContent = visit.available
+                ? utils.formatDate(visit.date)
+                : i18n.t('booking.visitUnavailable', { date: utils.formatDate(visit.date) });
+            preview.appendChild(item);
+        });
+    }
+
+    // One booking, a group or a series, depending on what the form holds
+    async submit(data) {
+        const { groupMode = 'auto', ...bookingData } = data;
+        const recurrence = this.getRecurrence();
+        const { addOns, items: lineItems, price: totalPrice, duration } = this.getCart();
+        const guests = this.getGuests();
+        const attachments = bookingData.attachments || [];
+
+        // Another booking may have taken the slot since the options were built;
+        // handled the same way as the server saying so
+        const barberPreference = bookingData.barber || 'any';
+        const slot = this.availability.checkContextSlot(this.getSlotContext(), bookingData.preferredTime);
+        if (!slot.available) {
+            throw new TransportError('conflict', 'Slot taken since the options were built');
+        }
+
+        // Assign each person to the barber and start time that were found free
+        const [leadSlot, ...guestSlots] = slot.assignments;
+        const payload = {
+            ...bookingData,
+            addOns,
+            lineItems,
+            totalPrice,
+            duration,
+            endTime: leadSlot.endTime,
+            barber: leadSlot.barber,
+            barberPreference,
+            attachments
+        };
+
+        let booking;
+        let skippedDates = [];
+        if (recurrence) {
+            // Book every free visit; dates that are taken or closed are skipped and reported
+            const plan = this.availability.planSeries(this.getSlotContext(), bookingData.preferredTime, recurrence);
+            skippedDates = plan.filter(visit => !visit.available).map(visit => visit.date);
+            const occurrences = plan
+                .filter(visit => visit.available)
+                .map((visit, index, visits) => ({
+                    ...payload,
+                    preferredDate: visit.date,
+                    endTime: visit.assignments[0].endTime,
+                    barber: visit.assignments[0].barber,
+                    recurrence: { ...recurrence, skippedDates },
+                    seriesIndex: index + 1,
+                    seriesSize: visits.length,
+                    // Photos travel once, with the first visit
+                    attachments: index === 0 ? attachments : []
+                }));
+            const series = await this.transport.createBookingSeries(occurrences, {
+                idempotencyKey: this.getIdempotencyKey(occurrences)
+            });
+            booking = series.queued ? series : series[0];
+        } else if (guests.length) {
+            const members = [
+                { ...payload, groupRole: 'lead', groupMode },
+                ...guests.map((guest, index) => {
+                    const guestItems = bookingCart.getLineItems(guest.service);
+                    const guestTotals = bookingCart.getTotals(guestItems);
+                    return {
+                        clientName: guest.name,
+                        clientPhone: bookingData.clientPhone,
+                        clientEmail: bookingData.clientEmail,
+                        service: guest.service,
+                        addOns: [],
+                        lineItems: guestItems,
+                        totalPrice: guestTotals.price,
+                        duration: guestTotals.duration,
+                        preferredDate: bookingData.preferredDate,
+                        preferredTime: guestSlots[index].time,
+                        endTime: guestSlots[index].endTime,
+                        barber: guestSlots[index].barber,
+                        barberPreference: 'any',
+                        groupRole: 'guest',
+                        groupMode
+                    };
+                })
+            ];
+            const group = await this.transport.createBookingGroup(members, {
+                idempotencyKey: this.getIdempotencyKey(members)
+            });
+            booking = group.queued ? group : group[0];
+        } else {
+            booking = await this.transport.createBooking(payload, {
+                idempotencyKey: this.getIdempotencyKey(payload)
+            });
+        }
+
+        return { booking, recurrence, guests, slot, skippedDates };
+    }
+
+    onSuccess({ booking, recurrence, guests, slot, skippedDates }, data) {
+        const phone = utils.formatPhoneNumber(data.clientPhone);
+
+        if (booking.queued) {
+            this.toast.show(i18n.t(this.options.queuedMessage), 'info', 6000);
+        } else if (recurrence) {
+            this.toast.show(
+                i18n.t('booking.seriesBooked', {
+                    count: booking.seriesSize,
+                    interval: i18n.t('booking.interval', { count: recurrence.interval }),
+                    phone
+                }),
+                'success',
+                6000
+            );
+            
+            this.showConfirmation(booking, skippedDates);
+        } else if (guests.length) {
+            this.toast.show(
+                i18n.t('booking.groupBooked', { count: guests.length + 1, phone }),
+                'success',
+                6000
+            );
+            
+            this.showConfirmation(booking);
+        } else {
+            this.toast.show(
+                i18n.t('booking.booked', { barber: BARBERS[slot.barber].name, phone }),
+                'success',
+                6000
+            );
+            
+            this.showConfirmation(booking);
+        }
+
+        this.reset();
+    }
+
+    // The reference the customer was given, which covers a whole group or series
+    getRecordId({ booking }) {
+        return booking.queued ? null : booking.groupId || booking.seriesId || booking.id;
+    }
+
+    onError(error, data) {
+        if (error instanceof TransportError && error.code === 'conflict') {
+            this.handleSlotConflict();
+            console.error('Booking error:', error);
+            return;
+        }
+        super.onError(error, data);
+    }
+
+    reset() {
+        super.reset();
+        this.clearGuests();
+        this.form.querySelector('.repeat-options')?.setAttribute('hidden', '');
+        this.updateRepeatEnd();
+
+        // Reset date limits and time options
+        this.validator.applyDateLimits(this.form);
+        this.updateTimeSlots();
+    }
+
+    handleSlotConflict() {
+        this.toast.show(i18n.t('transportErrors.conflict'), 'error');
+        this.updateTimeSlots();
+        document.getElementById('preferredTime')?.focus();
+    }
+
+    registerAvailabilityValidators() {
+        this.availability.registerValidators(this.validator, () => this.getSlotContext());
+    }
+
+    getSelectedBarber() {
+        return document.getElementById('barber')?.value || 'any';
+    }
+
+    getCart() {
+        const service = document.getElementById('service')?.value;
+        const addOns = Array.from(this.form.querySelectorAll('input[name="addOns"]:checked'))
+            .map(checkbox => checkbox.value);
+        const items = bookingCart.getLineItems(service, addOns);
+        return { addOns, items, ...bookingCart.getTotals(items) };
+    }
+
+    getSlotContext() {
+        return {
+            date: document.getElementById('preferredDate')?.value,
+            service: document.getElementById('service')?.value,
+            duration: this.getCart().duration,
+            barber: this.getSelectedBarber(),
+            guests: this.getGuests().map(guest => ({ service: guest.service })),
+            groupMode: document.getElementById('groupMode')?.value || 'auto'
+        };
+    }
+
+    updateTimeSlots() {
+        this.availability.renderTimeOptions(document.getElementById('preferredTime'), this.getSlotContext());
+        this.updateSummary();
+        this.updateRepeatPreview();
+    }
+
+    // Running total of the selected service and add-ons
+    updateSummary() {
+        const summary = this.form.querySelector('.booking-summary');
+        if (!summary) return;
+
+        const cart = this.getCart();
+        const guestItems = this.getGuests().flatMap((guest, index) =>
+            bookingCart.getLineItems(guest.service).map(item => ({ ...item, guest: guest.name || i18n.t('booking.guestTitle', { number: index + 1 }) }))
+        );
+        const items = [...cart.items, ...guestItems];
+        const { price, duration } = bookingCart.getTotals(items);
+        const list = summary.querySelector('.booking-summary-items');
+        list.innerHTML = '';
+
+        items.forEach(item => {
+            const row = document.createElement('li');
+            const name = document.createElement('span');
+            const amount = document.createElement('span');
+            const itemName = bookingCart.getItemName(item);
+            if (item.guest) {
+                name.textContent = i18n.t('booking.summaryGuest', { guest: item.guest, item: itemName });
+            } else {
+                name.textContent = item.type === 'addOn' ? i18n.t('booking.summaryAddOn', { item: itemName }) : itemName;
+            }
+            amount.textContent = utils.formatPrice(item.price);
+            row.append(name, amount);
+            list.appendChild(row);
+        });
+
+        summary.querySelector('.booking-summary-empty').hidden = items.length > 0;
+        summary.querySelector('.booking-summary-price').textContent = utils.formatPrice(price);
+        summary.querySelector('.booking-summary-duration').textContent = utils.formatDuration(duration);
+    }
+
+    showConfirmation(booking, skippedDates = []) {
+        const confirmation = document.getElementById('booking-confirmation');
+        if (!confirmation) return;
+
+        const reference = confirmation.querySelector('.booking-reference');
+        if (reference) reference.textContent = (booking.groupId || booking.seriesId || booking.id).toUpperCase();
+
+        const groupNote = confirmation.querySelector('.booking-group-note');
+        if (groupNote) {
+            groupNote.textContent = booking.groupSize > 1
+                ? i18n.t('booking.groupNote', { count: booking.groupSize })
+                : '';
+            groupNote.hidden = !(booking.groupSize > 1);
+        }
+
+        const seriesNote = confirmation.querySelector('.booking-series-note');
+        if (seriesNote) {
+            const skipped = skippedDates.length
+                ? ` ${i18n.t('booking.skippedDates', { dates: skippedDates.map(date => utils.formatDate(date)).join('; ') })}`
+                : '';
+            seriesNote.textContent = booking.seriesId
+                ? `${i18n.t('booking.seriesNote', { count: booking.seriesSize })}${skipped}`
+                : '';
+            seriesNote.hidden = !booking.seriesId;
+        }
+
+        const calendarButton = confirmation.querySelector('.booking-calendar-btn');
+        if (calendarButton) {
+            calendarButton.onclick = () => calendarExport.download(booking);
+        }
+
+        const manageLink = confirmation.querySelector('.booking-manage-link');
+        if (manageLink) {
+            manageLink.onclick = () => {
+                const referenceField = document.getElementById('manageReference');
+                if (referenceField) referenceField.value = booking.id.toUpperCase();
+            };
+        }
+
+        confirmation.hidden = false;
+    }
+}
+
+// ===== MANAGE BOOKING MANAGER =====
+class ManageBookingManager {
+    constructor() {
+        this.section = document.getElementById('manage-booking');
+        this.lookupForm = document.getElementById('manageLookupForm');
+        this.details = document.getElementById('manage-booking-details');
+        this.rescheduleForm = document.getElementById('rescheduleForm');
+        this.validator = new FormValidator();
+        this.toast = new ToastManager();
+        this.availability = new AvailabilityManager();
+        this.transport = transports.get();
+        this.currentBooking = null;
+        this.currentGroup = [];
+        this.currentSeries = [];
+
+        this.init();
+    }
+
+    init() {
+        if (!this.lookupForm) return;
+
+        // The number may be typed without its country code, so any supported country will do
+        this.validator.addValidator('phoneOrEmail', (value) =>
+            utils.isValidEmail(value) || Object.keys(PHONE_COUNTRIES).some(code => utils.isValidPhone(value, code))
+        );
+        this.availability.registerValidators(this.validator, () => this.getRescheduleContext());
+        this.validator.attach(this.lookupForm);
+        if (this.rescheduleForm) this.validator.attach(this.rescheduleForm);
+
+        this.lookupForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleLookup();
+        });
+
+        this.details?.querySelector('.manage-reschedule-btn')?.addEventListener('click', () => {
+            this.showRescheduleForm();
+        });
+
+        this.details?.querySelector('.manage-cancel-btn')?.addEventListener('click', () => {
+            this.handleCancel();
+        });
+
+        this.details?.querySelector('.manage-calendar-btn')?.addEventListener('click', () => {
+            if (this.currentBooking) calendarExport.download(this.currentBooking);
+        });
+
+        if (this.rescheduleForm) {
+            this.rescheduleForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleReschedule();
+            });
+
+            this.rescheduleForm.querySelector('.reschedule-dismiss-btn')?.addEventListener('click', () => {
+                this.hideRescheduleForm();
+            });
+
+            document.getElementById('rescheduleDate')?.addEventListener('change', () => {
+                this.updateTimeSlots();
+            });
+        }
+
+        // Redraw what's on screen without closing an open reschedule form
+        document.addEventListener('i18n:change', () => {
+            if (this.details && !this.details.hidden) this.renderSummary();
+            if (this.rescheduleForm && !this.rescheduleForm.hidden) this.updateTimeSlots();
+        });
+
+        document.addEventListener('storage:change', (e) => {
+            if (e.detail.collection === 'bookings' && this.rescheduleForm && !this.rescheduleForm.hidden) {
+                this.updateTimeSlots();
+            }
+        });
+    }
+
+    async handleLookup() {
+        const isValid = await this.validator.validateForm(this.lookupForm);
+        if (!isValid) {
+            this.lookupForm.querySelector('[aria-invalid="true"]')?.focus();
+            return;
+        }
+
+        const reference = document.getElementById('manageReference').value;
+        const contact = document.getElementById('manageContact').value;
+
+        let booking;
+        let group = [];
+        let series = [];
+        try {
+            booking = await this.transport.findBooking(reference, contact);
+            if (booking?.groupId) {
+                group = await this.transport.findBookingGroup(booking.groupId, contact);
+            }
+            if (booking?.seriesId) {
+                series = await this.transport.findBookingSeries(booking.seriesId, contact);
+            }
+        } catch (error) {
+            this.showError(error, 'Booking lookup error:');
+            return;
+        }
+
+        if (!booking) {
+            this.currentBooking = null;
+            this.currentGroup = [];
+            this.currentSeries = [];
+            if (this.details) this.details.hidden = true;
+            this.toast.show(i18n.t('transportErrors.not_found'), 'error');
+            return;
+        }
+
+        this.currentBooking = booking;
+        this.currentGroup = group.length ? group : [booking];
+        this.currentSeries = series;
+        this.renderDetails();
+    }
+
+    // Everyone booked together, lead first; a group is always changed as a whole
+    getMembers() {
+        return this.currentGroup.length ? this.currentGroup : [this.currentBooking];
+    }
+
+    // Visits changed by the scope picker: the whole series from now on, or just this booking (and its group)
+    getTargets() {
+        if (this.getScope() !== 'series') return this.getMembers();
+
+        return this.currentSeries.filter(visit =>
+            !['cancelled', 'completed', 'no-show'].includes(visit.status) && this.canModify(visit).allowed
+        );
+    }
+
+    getScope() {
+        if (this.currentSeries.length < 2) return 'one';
+        return this.details?.querySelector('input[name="manageScope"]:checked')?.value || 'one';
+    }
+
+    // Swap in updated records and keep the booking the customer looked up in view
+    applyUpdates(updated) {
+        const byId = new Map(updated.map(booking => [booking.id, booking]));
+        const refresh = (bookings) => bookings.map(booking => byId.get(booking.id) || booking);
+
+        this.currentGroup = refresh(this.currentGroup);
+        this.currentSeries = refresh(this.currentSeries)
+            .sort((a, b) => a.preferredDate.localeCompare(b.preferredDate));
+        this.currentBooking = byId.get(this.currentBooking.id) || this.currentBooking;
+    }
+
+    // Online changes are allowed until the cut-off before the appointment
+    canModify(booking) {
+        if (booking.status === 'cancelled') {
+            return { allowed: false, message: i18n.t('manage.cancelled') };
+        }
+
+        const start = utils.parseDateKey(booking.preferredDate);
+        start.setMinutes(utils.timeToMinutes(booking.preferredTime));
+        const minutesUntilStart = (start - new Date()) / 60000;
+
+        if (minutesUntilStart < CONSTANTS.CHANGE_CUTOFF_MINUTES) {
+            return {
+                allowed: false,
+                message: i18n.t('manage.cutoff')
+            };
+        }
+
+        return { allowed: true, message: '' };
+    }
+
+    renderDetails() {
+        if (!this.details || !this.currentBooking) return;
+
+        this.renderSummary();
+        this.hideRescheduleForm();
+        this.details.hidden = false;
+    }
+
+    renderSummary() {
+        const booking = this.currentBooking;
+        const members = this.getMembers();
+        const values = {
+            reference: (booking.groupId || booking.seriesId || booking.id).toUpperCase(),
+            service: bookingCart.describe(booking),
+            total: `${utils.formatPrice(bookingCart.getTotals(bookingCart.getBookingItems(booking)).price)} · ${utils.formatDuration(this.availability.getBookingDuration(booking))}`,
+            barber: BARBERS[booking.barber]?.name || i18n.t('manage.anyBarber'),
+            date: utils.formatDate(booking.preferredDate),
+            time: utils.formatTime(booking.preferredTime),
+            status: i18n.t(`status.${booking.status}`, {}, booking.status),
+            group: members.map(member => i18n.t('manage.member', {
+                name: member.clientName,
+                services: bookingCart.describe(member),
+                time: utils.formatTime(member.preferredTime)
+            })).join('; '),
+            series: this.describeSeries()
+        };
+
+        Object.entries(values).forEach(([key, value]) => {
+            const element = this.details.querySelector(`[data-booking-field="${key}"]`);
+            if (element) element.textContent = value;
+        });
+
+        const groupRow = this.details.querySelector('[data-booking-group]');
+        if (groupRow) groupRow.hidden = members.length < 2;
+
+        const seriesRow = this.details.querySelector('[data-booking-series]');
+        if (seriesRow) seriesRow.hidden = !this.currentSeries.length;
+
+        const { allowed, message } = this.canModify(booking);
+        const actions = this.details.querySelector('.manage-actions');
+        const note = this.details.querySelector('.manage-note');
+        if (actions) actions.hidden = !allowed;
+
+        const scope = this.details.querySelector('.manage-scope');
+        if (scope) scope.hidden = !allowed || this.currentSeries.length < 2;
+
+        const calendarButton = this.details.querySelector('.manage-calendar-btn');
+        if (calendarButton) calendarButton.hidden = booking.status === 'cancelled';
+        if (note) {
+            note.textContent = message;
+            note.hidden = !message;
+        }
+    }
+
+    // e.g. "Every 2 weeks · visit 2 of 4"
+    describeSeries() {
+        const recurrence = this.currentBooking?.recurrence;
+        if (!this.currentSeries.length || !recurrence) return '';
+
+        return i18n.t('manage.seriesPosition', {
+            every: i18n.t('manage.every', { count: recurrence.interval }),
+            position: this.currentSeries.findIndex(visit => visit.id === this.currentBooking.id) + 1,
+            total: this.currentSeries.length
+        });
+    }
+
+    getRescheduleContext() {
+        if (!this.currentBooking) return {};
+
+        const [lead, ...guests] = this.getMembers();
+        return {
+            date: document.getElementById('rescheduleDate')?.value,
+            service: lead.service,
+            duration: this.availability.getBookingDuration(lead),
+            barber: lead.barberPreference || lead.barber || 'any',
+            guests: guests.map(guest => ({ duration: this.availability.getBookingDuration(guest) })),
+            groupMode: lead.groupMode || 'auto',
+            excludeIds: this.getMembers().map(member => member.id)
+        };
+    }
+
+    showRescheduleForm() {
+        if (!this.rescheduleForm || !this.currentBooking) return;
+
+        const dateField = document.getElementById('rescheduleDate');
+        this.validator.applyDateLimits(this.rescheduleForm);
+        if (dateField) dateField.value = this.currentBooking.preferredDate;
+        this.updateTimeSlots();
+
+        this.rescheduleForm.hidden = false;
+        dateField?.focus();
+    }
+
+    hideRescheduleForm() {
+        if (!this.rescheduleForm) return;
+
+        this.rescheduleForm.reset();
+        this.validator.clearErrors(this.rescheduleForm);
+        this.rescheduleForm.hidden = true;
+    }
+
+    updateTimeSlots() {
+        this.availability.renderTimeOptions(document.getElementById('rescheduleTime'), this.getRescheduleContext());
+    }
+
+    async handleReschedule() {
+        const booking = this.currentBooking;
+        if (!booking || !this.canModify(booking).allowed) return;
+
+        const isValid = await this.validator.validateForm(this.rescheduleForm);
+        if (!isValid) {
+            this.rescheduleForm.querySelector('[aria-invalid="true"]')?.focus();
+            return;
+        }
+
+        const context = this.getRescheduleContext();
+        const { date } = context;
+        const time = document.getElementById('rescheduleTime').value;
+        const moves = this.getScope() === 'series'
+            ? this.planSeriesMove(date, time)
+            : this.planMove(context, time);
+        if (!moves) return;
+
+        try {
+            const now = new Date().toISOString();
+            // The whole group or series moves in one update, so a failure leaves none of it moved
+            const updated = await this.transport.updateBookings(moves.map(({ member, date: newDate, assignment }) => ({
+                id: member.id,
+                changes: {
+                    preferredDate: newDate,
+                    preferredTime: assignment.time,
+                    endTime: assignment.endTime,
+                    barber: assignment.barber,
+                    status: 'rescheduled',
+                    rescheduledAt: now,
+                    history: [
+                        ...(member.history || []),
+                        {
+                            action: 'rescheduled',
+                            at: now,
+                            from: {
+                                preferredDate: member.preferredDate,
+                                preferredTime: member.preferredTime,
+                                barber: member.barber
+                            }
+                        }
+                    ]
+                }
+            })));
+            this.applyUpdates(updated);
+
+            this.renderDetails();
+            this.toast.show(
+                moves.length > 1 && this.getScope() === 'series'
+                    ? i18n.t('manage.seriesMoved', { count: moves.length, time: utils.formatTime(time) })
+                    : i18n.t('manage.moved', { time: utils.formatTime(time), date: utils.formatDate(date) }),
+                'success',
+                6000
+            );
+        } catch (error) {
+            if (error instanceof TransportError && error.code === 'conflict') {
+                this.updateTimeSlots();
+            }
+            this.showError(error, 'Reschedule error:');
+        }
+    }
+
+    // The booking (or its whole group) to the chosen date and time
+    planMove(context, time) {
+        const slot = this.availability.checkContextSlot(context, time);
+
+        if (!slot.available) {
+            this.toast.show(i18n.t('transportErrors.conflict'), 'error');
+            this.updateTimeSlots();
+            return null;
+        }
+
+        return this.getMembers().map((member, index) => ({
+            member,
+            date: context.date,
+            assignment: slot.assignments[index]
+        }));
+    }
+
+    // Every upcoming visit shifted by the same number of days, all at the new time.
+    // Nothing moves unless every visit fits.
+    planSeriesMove(date, time) {
+        const visits = this.getTargets();
+        const shift = utils.daysBetween(this.currentBooking.preferredDate, date);
+        const excludeIds = visits.map(visit => visit.id);
+
+        const moves = visits.map(visit => {
+            const newDate = utils.addDays(visit.preferredDate, shift);
+            const slot = this.availability.checkContextSlot({
+                date: newDate,
+                service: visit.service,
+                duration: this.availability.getBookingDuration(visit),
+                barber: visit.barberPreference || visit.barber || 'any',
+                excludeIds
+            }, time);
+            return { member: visit, date: newDate, assignment: slot.assignments[0], available: slot.available };
+        });
+
+        const blocked = moves.filter(move => !move.available);
+        if (blocked.length) {
+            this.toast.show(
+                i18n.t('manage.cannotMove', {
+                    time: utils.formatTime(time),
+                    dates: blocked.map(move => utils.formatDate(move.date)).join('; ')
+                }),
+                'error',
+                8000
+            );
+            return null;
+        }
+
+        return moves;
+    }
+
+    async handleCancel() {
+        const booking = this.currentBooking;
+        if (!booking || !this.canModify(booking).allowed) return;
+
+        const members = this.getTargets();
+        let prompt = i18n.t('manage.confirmCancel');
+        if (this.getScope() === 'series') {
+            prompt = i18n.t('manage.confirmCancelSeries', { count: members.length });
+        } else if (members.length > 1) {
+            prompt = i18n.t('manage.confirmCancelGroup', { count: members.length });
+        }
+        if (!window.confirm(prompt)) return;
+
+        try {
+            const now = new Date().toISOString();
+            const updated = await this.transport.updateBookings(members.map(member => ({
+                id: member.id,
+                changes: {
+                    status: 'cancelled',
+                    cancelledAt: now,
+                    history: [...(member.history || []), { action: 'cancelled', at: now }]
+                }
+            })));
+            this.applyUpdates(updated);
+
+            this.renderDetails();
+            this.toast.show(i18n.t('manage.cancelledToast'), 'success');
+        } catch (error) {
+            this.showError(error, 'Cancel booking error:');
+        }
+    }
+
+    showError(error, logPrefix) {
+        const message = error instanceof TransportError
+            ? error.getUserMessage()
+            : i18n.t('form.error');
+        this.toast.show(message, 'error');
+        console.error(logPrefix, error);
+    }
+}
+
+// ===== STAFF DASHBOARD =====
+class StaffDashboard {
+    constructor() {
+        this.loginForm = document.getElementById('staffLoginForm');
+        this.dashboard = document.getElementById('staffDashboard');
+        this.validator = new FormValidator();
+        this.toast = new ToastManager();
+        this.store = new BookingStore();
+        this.availability = new AvailabilityManager();
+        this.transport = transports.get();
+        this.sessionKey = 'cutCrownStaffSession';
+
+        this.view = 'day';
+        this.anchorDate = utils.toDateKey(new Date());
+        this.filters = { service: '', status: '', barber: '' };
+
+        this.init();
+    }
+
+    init() {
+        if (!this.loginForm || !this.dashboard) return;
+
+        this.validator.attach(this.loginForm);
+        this.loginForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleLogin();
+        });
+
+        this.setupControls();
+
+        // Bookings made or changed in another tab
+        document.addEventListener('storage:change', (e) => {
+            if (e.detail.collection === 'bookings' && this.isUnlocked()) {
+                this.render();
+            }
+        });
+
+        if (this.isUnlocked()) {
+            this.showDashboard();
+        }
+    }
+
+    isUnlocked() {
+        const expiresAt = Number(sessionStorage.getItem(this.sessionKey));
+        return expiresAt > Date.now();
+    }
+
+    async handleLogin() {
+        const pinField = document.getElementById('staffPin');
+        const errorElement = document.getElementById('staffPin-error');
+        const pin = pinField.value.trim();
+
+        if (!(await this.validator.validateForm(this.loginForm))) {
+            pinField.focus();
+            return;
+        }
+
+        let pinHash = '';
+        try {
+            pinHash = await utils.sha256(pin);
+        } catch (error) {
+            // crypto.subtle only exists on HTTPS and localhost
+            this.validator.showError(pinField, errorElement, 'The dashboard must be opened over HTTPS');
+            console.error('PIN check error:', error);
+            return;
+        }
+
+        if (pinHash !== STAFF_PIN_HASH) {
+            this.validator.showError(pinField, errorElement, 'Incorrect PIN');
+            pinField.focus();
+            return;
+        }
+
+        this.validator.clearError(pinField, errorElement);
+        sessionStorage.setItem(this.sessionKey, String(Date.now() + CONSTANTS.STAFF_SESSION_MINUTES * 60000));
+        this.loginForm.reset();
+        this.showDashboard();
+    }
+
+    lock() {
+        sessionStorage.removeItem(this.sessionKey);
+        this.dashboard.hidden = true;
+        this.loginForm.hidden = false;
+        document.getElementById('staffPin')?.focus();
+    }
+
+    showDashboard() {
+        this.loginForm.hidden = true;
+        this.dashboard.hidden = false;
+        this.render();
+    }
+
+    setupControls() {
+        const fillSelect = (id, entries) => {
+            const select = document.getElementById(id);
+            entries.forEach(([value, label]) => select?.appendChild(new Option(label, value)));
+        };
+        fillSelect('staffServiceFilter', Object.entries(SERVICES).map(([id, service]) => [id, service.name]));
+        fillSelect('staffStatusFilter', Object.entries(BOOKING_STATUS_LABELS));
+        fillSelect('staffBarberFilter', Object.entries(BARBERS).map(([id, barber]) => [id, barber.name]));
+
+        [['staffServiceFilter', 'service'], ['staffStatusFilter', 'status'], ['staffBarberFilter', 'barber']]
+            .forEach(([id, key]) => {
+                document.getElementById(id)?.addEventListener('change', (e) => {
+                    this.filters[key] = e.target.value;
+                    this.render();
+                });
+            });
+
+        this.dashboard.querySelectorAll('[data-view]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.view = button.dataset.view;
+                this.dashboard.querySelectorAll('[data-view]').forEach(other => {
+                    other.classList.toggle('active', other === button);
+                    other.setAttribute('aria-pressed', String(other === button));
+                });
+                this.render();
+            });
+        });
+
+        const dateField = document.getElementById('staffDate');
+        dateField?.addEventListener('change', () => {
+            if (dateField.value) {
+                this.anchorDate = dateField.value;
+                this.render();
+            }
+        });
+
+        this.dashboard.querySelector('.staff-prev')?.addEventListener('click', () => this.shiftDate(-1));
+        this.dashboard.querySelector('.staff-next')?.addEventListener('click', () => this.shiftDate(1));
+        this.dashboard.querySelector('.staff-today')?.addEventListener('click', () => {
+            this.anchorDate = utils.toDateKey(new Date());
+            this.render();
+        });
+
+        this.dashboard.querySelector('.staff-export')?.addEventListener('click', () => this.exportDaySheet());
+        this.dashboard.querySelector('.staff-lock')?.addEventListener('click', () => this.lock());
+
+        // Status buttons are re-rendered, so listen on the agenda container
+        this.dashboard.querySelector('.staff-agenda')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-transition]');
+            if (button) {
+                this.changeStatus(button.dataset.id, button.dataset.transition);
+            }
+        });
+    }
+
+    shiftDate(direction) {
+        const date = utils.parseDateKey(this.anchorDate);
+        date.setDate(date.getDate() + direction * (this.view === 'week' ? 7 : 1));
+        this.anchorDate = utils.toDateKey(date);
+        this.render();
+    }
+
+    // Monday-to-Sunday week containing the anchor date
+    getVisibleDates() {
+        if (this.view === 'day') return [this.anchorDate];
+
+        const start = utils.parseDateKey(this.anchorDate);
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+
+        return Array.from({ length: 7 }, (_, offset) => {
+            const date = new Date(start);
+            date.setDate(start.getDate() + offset);
+            return utils.toDateKey(date);
+        });
+    }
+
+    getBookings(dates) {
+        return this.store.getAll()
+            .filter(booking => dates.includes(booking.preferredDate))
+            .filter(booking => !this.filters.service || booking.service === this.filters.service)
+            .filter(booking => !this.filters.status || booking.status === this.filters.status)
+            .filter(booking => !this.filters.barber || booking.barber === this.filters.barber)
+            .sort((a, b) =>
+                a.preferredDate.localeCompare(b.preferredDate) || a.preferredTime.localeCompare(b.preferredTime)
+            );
+    }
+
+    render() {
+        const dateField = document.getElementById('staffDate');
+        if (dateField) dateField.value = this.anchorDate;
+
+        const dates = this.getVisibleDates();
+        const bookings = this.getBookings(dates);
+        const agenda = this.dashboard.querySelector('.staff-agenda');
+        agenda.innerHTML = '';
+        agenda.classList.toggle('week', this.view === 'week');
+
+        dates.forEach(dateKey => {
+            const day = document.createElement('section');
+            day.className = 'staff-day';
+
+            const heading = document.createElement('h2');
+            heading.className = 'staff-day-title';
+            heading.textContent = utils.formatDate(dateKey);
+            day.appendChild(heading);
+
+            const dayBookings = bookings.filter(booking => booking.preferredDate === dateKey);
+            if (!dayBookings.length) {
+                const empty = document.createElement('p');
+                empty.className = 'staff-empty';
+                empty.textContent = this.availability.isClosed(dateKey) ? 'Closed' : 'No bookings';
+                day.appendChild(empty);
+            }
+
+            dayBookings.forEach(booking => day.appendChild(this.renderBooking(booking)));
+            agenda.appendChild(day);
+        });
+
+        const summary = this.dashboard.querySelector('.staff-summary');
+        if (summary) {
+            const active = bookings.filter(booking => booking.status !== 'cancelled').length;
+            summary.textContent = `${bookings.length} booking${bookings.length === 1 ? '' : 's'} shown, ${active} not cancelled`;
+        }
+    }
+
+    renderBooking(booking) {
+        const card = document.createElement('article');
+        card.className = `staff-booking status-${booking.status}`;
+
+        const time = document.createElement('p');
+        time.className = 'staff-booking-time';
+        time.textContent = `${utils.formatTime(booking.preferredTime)} – ${utils.formatTime(booking.endTime || booking.preferredTime)}`;
+
+        const client = document.createElement('p');
+        client.className = 'staff-booking-client';
+        client.textContent = `${booking.clientName || 'Unknown client'} · ${utils.formatPhoneNumber(booking.clientPhone || '')}`;
+
+        const meta = document.createElement('p');
+        meta.className = 'staff-booking-meta';
+        meta.textContent = [
+            bookingCart.describe(booking),
+            BARBERS[booking.barber]?.name || 'Unassigned',
+            `Ref ${booking.id.toUpperCase()}`,
+            booking.groupSize > 1 ? `Group ${booking.groupId.toUpperCase()} (${booking.groupSize} people)` : null,
+            booking.seriesId ? `Series ${booking.seriesId.toUpperCase()} (visit ${booking.seriesIndex} of ${booking.seriesSize})` : null
+        ].filter(Boolean).join(' · ');
+
+        const status = document.createElement('span');
+        status.className = 'staff-status';
+        status.textContent = BOOKING_STATUS_LABELS[booking.status] || booking.status;
+
+        card.append(time, client, meta, status);
+
+        if (booking.notes) {
+            const notes = document.createElement('p');
+            notes.className = 'staff-booking-notes';
+            notes.textContent = booking.notes;
+            card.appendChild(notes);
+        }
+
+        if (booking.attachments?.length) {
+            const photos = document.createElement('div');
+            photos.className = 'staff-booking-photos';
+            booking.attachments.forEach(attachment => {
+                const link = document.createElement('a');
+                link.download = attachment.name;
+                link.title = `Download ${attachment.name}`;
+
+                const thumbnail = document.createElement('img');
+                thumbnail.alt = `Reference photo: ${attachment.name}`;
+
+                // Older records carry the image itself; newer ones point into attachment storage
+                const show = (src) => {
+                    if (!src) return;
+                    link.href = src;
+                    thumbnail.src = src;
+                };
+                if (attachment.dataUrl) {
+                    show(attachment.dataUrl);
+                } else {
+                    storage.readAttachment(attachment.id).then(show);
+                }
+
+                link.appendChild(thumbnail);
+                photos.appendChild(link);
+            });
+            card.appendChild(photos);
+        }
+
+        const transitions = BOOKING_STATUS_TRANSITIONS[booking.status] || [];
+        if (transitions.length) {
+            const actions = document.createElement('div');
+            actions.className = 'staff-booking-actions';
+            transitions.forEach(next => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-outline';
+                button.dataset.id = booking.id;
+                button.dataset.transition = next;
+                button.textContent = `Mark ${BOOKING_STATUS_LABELS[next].toLowerCase()}`;
+                actions.appendChild(button);
+            });
+            card.appendChild(actions);
+        }
+
+        return card;
+    }
+
+    async changeStatus(id, nextStatus) {
+        const booking = this.store.getAll().find(candidate => candidate.id === id);
+        if (!booking) return;
+
+        if (!(BOOKING_STATUS_TRANSITIONS[booking.status] || []).includes(nextStatus)) {
+            this.toast.show(`A ${BOOKING_STATUS_LABELS[booking.status].toLowerCase()} booking can't be marked ${nextStatus}.`, 'error');
+            return;
+        }
+
+        try {
+            const now = new Date().toISOString();
+            const timestampField = `${nextStatus.replace(/-(\w)/g, (_, letter) => letter.toUpperCase())}At`;
+            await this.transport.updateBooking(id, {
+                status: nextStatus,
+                [timestampField]: now,
+                history: [...(booking.history || []), { action: nextStatus, at: now, by: 'staff' }]
+            });
+            this.toast.show(`${booking.clientName || 'Booking'} marked ${BOOKING_STATUS_LABELS[nextStatus].toLowerCase()}.`, 'success');
+            this.render();
+        } catch (error) {
+            const message = error instanceof TransportError
+                ? error.getUserMessage()
+                : 'Could not update the booking. Please try again.';
+            this.toast.show(message, 'error');
+            console.error('Status update error:', error);
+        }
+    }
+
+    // CSV of the selected day with the current filters, for printing or spreadsheets
+    exportDaySheet() {
+        const bookings = this.getBookings([this.anchorDate]);
+        const header = ['Time', 'End', 'Client', 'Phone', 'Email', 'Services', 'Total (INR)', 'Barber', 'Status', 'Reference', 'Group', 'Series', 'Notes'];
+        const rows = bookings.map(booking => [
+            booking.preferredTime,
+            booking.endTime || '',
+            booking.clientName,
+            utils.formatPhoneNumber(booking.clientPhone || ''),
+            booking.clientEmail,
+            bookingCart.describe(booking),
+            bookingCart.getTotals(bookingCart.getBookingItems(booking)).price,
+            BARBERS[booking.barber]?.name || 'Unassigned',
+            BOOKING_STATUS_LABELS[booking.status] || booking.status,
+            booking.id.toUpperCase(),
+            booking.groupId ? booking.groupId.toUpperCase() : '',
+            booking.seriesId ? booking.seriesId.toUpperCase() : '',
+            booking.notes
+        ]);
+
+        const csv = [header, ...rows]
+            .map(row => row.map(cell => utils.toCsvCell(cell)).join(','))
+            .join('\r\n');
+
+        // The byte order mark makes Excel read the file as UTF-8
+        utils.downloadFile(`﻿${csv}\r\n`, `cut-crown-day-sheet-${this.anchorDate}.csv`, 'text/csv;charset=utf-8');
+    }
+}
+
+// ===== CONTACT FORM MANAGER =====
+class ContactManager extends FormController {
+    constructor() {
+        super({
+            formId: 'contactForm',
+            spam: { kind: 'message' },
+            draft: { label: 'message' },
+            submit(data, options) {
+                return this.transport.createMessage(data, options);
+            },
+            successMessage: 'contact.success',
+            queuedMessage: 'contact.queued'
+        });
+    }
+
+    setup() {
+        this.availability = new AvailabilityManager();
+        this.availability.registerValidators(this.validator, () => this.getSlotContext());
+
+        this.subjectField = document.getElementById('contactSubject');
+        this.subjectField?.addEventListener('change', () => this.applySubject());
+
+        ['contactAppointmentService', 'contactAppointmentDate'].forEach(fieldId => {
+            document.getElementById(fieldId)?.addEventListener('change', () => this.updateAppointment());
+        });
+        document.getElementById('contactAppointmentTime')?.addEventListener('change', () => this.updateBookingLink());
+
+        document.addEventListener('i18n:change', () => {
+            this.applySubject();
+            this.renderPriceList();
+        });
+
+        this.renderPriceList();
+        this.applySubject();
+    }
+
+    getSubject() {
+        return CONTACT_SUBJECTS[this.subjectField?.value] || null;
+    }
+
+    // Show the chosen subject's section; the others are hidden, which also takes them out of validation
+    applySubject() {
+        const value = this.subjectField?.value;
+        this.form.querySelectorAll('[data-subject]').forEach(section => {
+            section.hidden = section.dataset.subject !== value;
+        });
+
+        const message = document.getElementById('contactMessage');
+        const label = this.form.querySelector('label[for="contactMessage"]');
+        const optional = Boolean(this.getSubject()?.messageOptional);
+        if (message) message.required = !optional;
+        if (label) {
+            label.dataset.i18n = optional ? 'contact.messageOptional' : 'contact.message';
+            i18n.translatePage(label);
+        }
+
+        if (value === 'appointment') this.updateAppointment();
+    }
+
+    getSlotContext() {
+        return {
+            date: document.getElementById('contactAppointmentDate')?.value,
+            service: document.getElementById('contactAppointmentService')?.value,
+            barber: 'any'
+        };
+    }
+
+    updateAppointment() {
+        this.availability.renderTimeOptions(document.getElementById('contactAppointmentTime'), this.getSlotContext());
+        this.updateBookingLink();
+    }
+
+    // The booking form picks these up (see BookingManager.applyLinkedDetails)
+    updateBookingLink() {
+        const link = this.form.querySelector('.contact-booking-link');
+        if (!link) return;
+
+        const { service, date } = this.getSlotContext();
+        const time = document.getElementById('contactAppointmentTime')?.value;
+        const query = new URLSearchParams(Object.entries({ service, date, time }).filter(([, value]) => value)).toString();
+        link.href = `index.html${query ? `?${query}` : ''}#booking`;
+    }
+
+    // Services and add-ons from the booking catalog, so the list can't drift from what's charged
+    renderPriceList() {
+        const list = this.form.querySelector('[data-price-list]');
+        if (!list) return;
+
+        list.innerHTML = '';
+        const items = [
+            ...Object.keys(SERVICES).flatMap(id => bookingCart.getLineItems(id)),
+            ...bookingCart.getLineItems(null, Object.keys(ADD_ONS))
+        ];
+        items.forEach(item => {
+            const name = document.createElement('dt');
+            const price = document.createElement('dd');
+            name.textContent = item.type === 'addOn'
+                ? i18n.t('booking.summaryAddOn', { item: bookingCart.getItemName(item) })
+                : bookingCart.getItemName(item);
+            price.textContent = `${utils.formatPrice(item.price)} · ${utils.formatDuration(item.duration)}`;
+            list.append(name, price);
+        });
+    }
+
+    // Only the chosen subject's fields are sent, in that subject's shape
+    beforeSubmit(data) {
+        const message = { ...data };
+        this.form.querySelectorAll('[data-subject] [name]').forEach(field => delete message[field.name]);
+        return { ...message, ...this.getSubject()?.toRecord(data) };
+    }
+
+    reset() {
+        super.reset();
+        this.applySubject();
+    }
+
+    // The same text from the same email, already saved on this device recently.
+    // Without any text there is nothing to compare: two appointment requests can
+    // both leave the optional message empty and still ask for different times.
+    isDuplicate({ contactEmail = '', contactMessage = '' }) {
+        const normalize = (text) => text.trim().toLowerCase().replace(/\s+/g, ' ');
+        if (!normalize(contactMessage)) return false;
+
+        const cutoff = Date.now() - CONSTANTS.DUPLICATE_MESSAGE_HOURS * 60 * 60 * 1000;
+
+        return storage.collection('messages').getAll().some(message =>
+            Date.parse(message.timestamp) > cutoff &&
+            normalize(message.contactEmail || '') === normalize(contactEmail) &&
+            normalize(message.contactMessage || '') === normalize(contactMessage)
+        );
+    }
+}
+
+// ===== OFFLINE OUTBOX =====
+// Shows submissions the service worker is holding while offline, and what it sent later
+class OutboxManager {
+    constructor() {
+        this.toast = new ToastManager();
+        this.bookingStore = new BookingStore();
+        this.panel = null;
+        this.items = [];
+
+        this.init();
+    }
+
+    init() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data?.type === 'OUTBOX_UPDATED') {
+                this.handleUpdate(e.data.items || []);
+            }
+        });
+
+        // Browsers without Background Sync rely on the page to trigger a replay
+        window.addEventListener('online', () => {
+            this.postToWorker({ type: 'REPLAY_OUTBOX' });
+        });
+
+        this.postToWorker({ type: 'GET_OUTBOX' });
+        if (navigator.onLine) {
+            this.postToWorker({ type: 'REPLAY_OUTBOX' });
+        }
+
+        document.addEventListener('i18n:change', () => {
+            if (this.panel) {
+                this.panel.setAttribute('aria-label', i18n.t('outbox.title'));
+                this.panel.querySelector('.outbox-title').textContent = i18n.t('outbox.title');
+            }
+            this.render();
+        });
+    }
+
+    postToWorker(message) {
+        navigator.serviceWorker.ready
+            .then(registration => registration.active?.postMessage(message))
+            .catch(error => console.warn('Could not reach service worker:', error));
+    }
+
+    handleUpdate(items) {
+        const previous = new Map(this.items.map(item => [item.id, item.status]));
+
+        items.forEach(item => {
+            // Keep delivered bookings on this device so they can be managed later
+            const delivered = item.result?.bookings || [item.result];
+            if (item.kind.startsWith('booking') && item.status === 'sent' && delivered?.[0]?.id) {
+                Promise.all(delivered.map(booking => this.bookingStore.put(booking)))
+                    .catch(error => storage.reportError(error));
+            }
+
+            if (previous.get(item.id) === 'pending' && item.status === 'sent') {
+                this.toast.show(i18n.t(item.kind.startsWith('booking') ? 'outbox.sentBooking' : 'outbox.sentMessage'), 'success');
+            } else if (previous.get(item.id) === 'pending' && item.status === 'failed') {
+                this.toast.show(i18n.t('outbox.failed'), 'error', 6000);
+            }
+        });
+
+        this.items = items;
+        this.render();
+    }
+
+    describe(item) {
+        let data = {};
+        try {
+            data = JSON.parse(item.body || '{}');
+        } catch (error) {
+            // Leave the description generic
+        }
+
+        if (item.kind === 'booking') {
+            const service = data.service ? bookingCart.describe(data) : i18n.t('outbox.booking');
+            return data.preferredDate && data.preferredTime
+                ? i18n.t('outbox.bookingAt', {
+                    service,
+                    date: utils.formatDate(data.preferredDate),
+                    time: utils.formatTime(data.preferredTime)
+                })
+                : service;
+        }
+
+        if (item.kind === 'bookingGroup' && data.bookings?.length) {
+            const [lead] = data.bookings;
+            return i18n.t('outbox.group', {
+                count: data.bookings.length,
+                date: utils.formatDate(lead.preferredDate),
+                time: utils.formatTime(lead.preferredTime)
+            });
+        }
+
+        if (item.kind === 'bookingSeries' && data.bookings?.length) {
+            return i18n.t('outbox.series', {
+                count: data.bookings.length,
+                date: utils.formatDate(data.bookings[0].preferredDate)
+            });
+        }
+
+        if (item.kind === 'message') {
+            return data.contactSubject
+                ? i18n.t('outbox.messageAbout', { subject: data.contactSubject })
+                : i18n.t('outbox.message');
+        }
+
+        if (item.kind === 'subscription') {
+            return data.email
+                ? i18n.t('outbox.subscriptionFor', { email: data.email })
+                : i18n.t('outbox.subscription');
+        }
+
+        return i18n.t('outbox.other');
+    }
+
+    createPanel() {
+        const panel = document.createElement('aside');
+        panel.className = 'outbox-panel';
+        panel.setAttribute('aria-label', i18n.t('outbox.title'));
+        panel.setAttribute('aria-live', 'polite');
+        panel.innerHTML = `
+            <h2 class="outbox-title"></h2>
+            <ul class="outbox-list"></ul>
+        `;
+        panel.querySelector('.outbox-title').textContent = i18n.t('outbox.title');
+
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('.outbox-dismiss');
+            if (button) {
+                this.postToWorker({ type: 'DISMISS_OUTBOX_ITEM', id: button.dataset.id });
+            }
+        });
+
+        document.body.appendChild(panel);
+        return panel;
+    }
+
+    render() {
+        if (!this.items.length) {
+            if (this.panel) this.panel.hidden = true;
+            return;
+        }
+
+        this.panel = this.panel || this.createPanel();
+        const list = this.panel.querySelector('.outbox-list');
+        list.innerHTML = '';
+
+        this.items.forEach(item => {
+            const entry = document.createElement('li');
+            entry.className = `outbox-item ${item.status}`;
+
+            const description = document.createElement('span');
+            description.className = 'outbox-description';
+            description.textContent = this.describe(item);
+
+            const status = document.createElement('span');
+            status.className = 'outbox-status';
+            status.textContent = i18n.t(`outbox.status.${item.status}`, {}, item.status);
+
+            entry.append(description, status);
+
+            if (item.status !== 'pending') {
+                const dismiss = document.createElement('button');
+                dismiss.type = 'button';
+                dismiss.className = 'outbox-dismiss';
+                dismiss.dataset.id = item.id;
+                dismiss.setAttribute('aria-label', i18n.t('outbox.dismiss'));
+                dismiss.textContent = '×';
+                entry.appendChild(dismiss);
+            }
+
+            list.appendChild(entry);
+        });
+
+        this.panel.hidden = false;
+    }
+}
+
+// ===== MY DATA PANEL =====
+// Applies the retention policy on every page, and on the contact page lets a visitor
+// download or delete what is held for their phone number or email
+class PrivacyManager {
+    constructor() {
+        this.form = document.getElementById('myDataForm');
+        this.validator = new FormValidator();
+        this.toast = new ToastManager();
+        this.transport = transports.get();
+
+        this.init();
+    }
+
+    init() {
+        privacy.applyRetention();
+        if (!this.form) return;
+
+        this.validator.addValidator('phoneOrEmail', (value) =>
+            utils.isValidEmail(value) || Object.keys(PHONE_COUNTRIES).some(code => utils.isValidPhone(value, code))
+        );
+        this.validator.attach(this.form);
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleExport();
+        });
+        this.form.querySelector('.my-data-delete')?.addEventListener('click', () => this.handleErase());
+
+        this.renderRetention();
+        document.addEventListener('i18n:change', () => this.renderRetention());
+    }
+
+    renderRetention() {
+        const list = document.querySelector('[data-retention-list]');
+        if (!list) return;
+
+        const { retentionDays } = PRIVACY_POLICY;
+        const items = [
+            i18n.t('privacy.keepBookings', { days: i18n.t('privacy.days', { count: retentionDays.bookings }) }),
+            i18n.t('privacy.keepMessages', { days: i18n.t('privacy.days', { count: retentionDays.messages }) }),
+            i18n.t('privacy.keepSubscriptions'),
+            i18n.t('privacy.keepConsents', { days: i18n.t('privacy.days', { count: retentionDays.consents }) }),
+            i18n.t('privacy.keepDrafts', { hours: CONSTANTS.DRAFT_MAX_AGE_HOURS }),
+            i18n.t('privacy.keepPerformance', { days: i18n.t('privacy.days', { count: retentionDays.performance }) })
+        ];
+
+        list.innerHTML = '';
+        items.forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        });
+    }
+
+    async getContact() {
+        const isValid = await this.validator.validateForm(this.form);
+        if (!isValid) {
+            this.form.querySelector('[aria-invalid="true"]')?.focus();
+            return null;
+        }
+        return document.getElementById('myDataContact').value.trim();
+    }
+
+    async handleExport() {
+        const contact = await this.getContact();
+        if (!contact) return;
+
+        try {
+            const records = await this.transport.exportPersonalData(contact);
+            const data = {
+                exportedAt: new Date().toISOString(),
+                policyVersion: PRIVACY_POLICY.version,
+                contact,
+                ...records,
+                device: await privacy.getDeviceData(contact)
+            };
+
+            utils.downloadFile(
+                JSON.stringify(data, null, 2),
+                `cut-crown-my-data-${utils.toDateKey(new Date())}.json`,
+                'application/json'
+            );
+            this.toast.show(i18n.t('privacy.exported'), 'success');
+        } catch (error) {
+            this.showError(error, 'Data export error:');
+        }
+    }
+
+    async handleErase() {
+        const contact = await this.getContact();
+        if (!contact || !window.confirm(i18n.t('privacy.confirmErase', { contact }))) return;
+
+        try {
+            const removed = await this.transport.erasePersonalData(contact);
+            await privacy.eraseDeviceData(contact);
+
+            const count = ['bookings', 'messages', 'subscriptions'].reduce((total, key) => total + (removed?.[key] || 0), 0);
+            this.toast.show(count ? i18n.t('privacy.erased', { count }) : i18n.t('privacy.erasedNone'), 'success', 6000);
+            this.form.reset();
+        } catch (error) {
+            this.showError(error, 'Data erase error:');
+        }
+    }
+
+    showError(error, logPrefix) {
+        const message = error instanceof TransportError
+            ? error.getUserMessage()
+            : i18n.t('form.error');
+        this.toast.show(message, 'error');
+        console.error(logPrefix, error);
+    }
+}
+
+// ===== LIGHTBOX GESTURES =====
+// Pointer-based swipe, pinch and double-tap zoom for the lightbox image. At normal
+// size a sideways swipe changes photo and a downward one closes the lightbox; once
+// zoomed in, one finger pans (with momentum) inside the image's own bounds.
+// Several elements can take the gestures (the plain image and the comparison frame);
+// whichever is showing is the one that moves.
+class LightboxGestures {
+    constructor(elements, { backdrop = null, ignore = null, onSwipe = () => {}, onDismiss = () => {} } = {}) {
+        this.elements = [].concat(elements).filter(Boolean);
+        this.image = this.elements[0] || null;
+        this.backdrop = backdrop;
+        // Pointers starting on these are left to the element's own controls
+        this.ignore = ignore;
+        this.onSwipe = onSwipe;
+        this.onDismiss = onDismiss;
+
+        this.pointers = new Map();
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.gesture = null;
+        this.lastTap = null;
+        this.momentumFrame = null;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.image || !window.PointerEvent) return;
+
+        this.elements.forEach(element => {
+            element.addEventListener('pointerdown', (e) => this.handleDown(e));
+            element.addEventListener('pointermove', (e) => this.handleMove(e));
+            ['pointerup', 'pointercancel'].forEach(type => {
+                element.addEventListener(type, (e) => this.handleUp(e));
+            });
+            // Stop the browser's own image drag when a mouse is used to swipe
+            element.addEventListener('dragstart', (e) => e.preventDefault());
+        });
+    }
+
+    // Move gestures over to another of the elements, starting again at normal size
+    setTarget(element) {
+        if (!element || element === this.image) return;
+        this.reset();
+        this.image = element;
+    }
+
+    prefersReducedMotion() {
+        return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    // Back to normal size, e.g. when another photo is shown
+    reset() {
+        cancelAnimationFrame(this.momentumFrame);
+        this.pointers.clear();
+        this.gesture = null;
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.render();
+        if (this.backdrop) this.backdrop.style.opacity = '';
+    }
+
+    render({ settle = false } = {}) {
+        this.image.classList.toggle('is-settling', settle && !this.prefersReducedMotion());
+        this.image.classList.toggle('is-zoomed', this.scale > 1);
+        this.image.style.transform = this.scale === 1 && !this.x && !this.y
+            ? ''
+            : `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+    }
+
+    // How far the zoomed image may move before its edge would come into view
+    clampPan() {
+        const maxX = (this.image.offsetWidth * (this.scale - 1)) / 2;
+        const maxY = (this.image.offsetHeight * (this.scale - 1)) / 2;
+        this.x = Math.min(maxX, Math.max(-maxX, this.x));
+        this.y = Math.min(maxY, Math.max(-maxY, this.y));
+    }
+
+    // Zoom so that the image point that was at `from` (offsets from the image centre, at
+    // scale `start` and pan `origin`) ends up at `to`
+    zoomAt(scale, { from, to = from, start = this.scale, origin = { x: this.x, y: this.y } }) {
+        this.scale = Math.min(CONSTANTS.LIGHTBOX_MAX_ZOOM, Math.max(1, scale));
+        const ratio = this.scale / start;
+        this.x = to.x - (from.x - origin.x) * ratio;
+        this.y = to.y - (from.y - origin.y) * ratio;
+        this.clampPan();
+    }
+
+    // Pointer position relative to where the image's centre is before any pan
+    getOffset(point) {
+        const rect = this.image.getBoundingClientRect();
+        return {
+            x: point.clientX - (rect.left + rect.width / 2) + this.x,
+            y: point.clientY - (rect.top + rect.height / 2) + this.y
+        };
+    }
+
+    getPinch() {
+        const [a, b] = [...this.pointers.values()];
+        return {
+            distance: Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY),
+            center: this.getOffset({ clientX: (a.clientX + b.clientX) / 2, clientY: (a.clientY + b.clientY) / 2 })
+        };
+    }
+
+    handleDown(e) {
+        if (e.currentTarget !== this.image || (this.ignore && e.target.closest?.(this.ignore))) return;
+        cancelAnimationFrame(this.momentumFrame);
+        this.image.setPointerCapture?.(e.pointerId);
+        this.pointers.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+
+        if (this.pointers.size === 2) {
+            const pinch = this.getPinch();
+            this.gesture = {
+                type: 'pinch',
+                startDistance: pinch.distance,
+                startCenter: pinch.center,
+                startScale: this.scale,
+                origin: { x: this.x, y: this.y }
+            };
+        } else if (this.pointers.size === 1) {
+            this.gesture = {
+                type: null,
+                startX: e.clientX,
+                startY: e.clientY,
+                originX: this.x,
+                originY: this.y,
+                lastX: e.clientX,
+                lastY: e.clientY,
+                lastTime: e.timeStamp,
+                velocityX: 0,
+                velocityY: 0,
+                moved: false
+            };
+        }
+    }
+
+    handleMove(e) {
+        if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+        this.pointers.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+        e.preventDefault();
+
+        if (this.gesture.type === 'pinch') {
+            if (this.pointers.size < 2) return;
+            // Fingers moving together pan as well as zoom
+            const { startDistance, startCenter, startScale, origin } = this.gesture;
+            const pinch = this.getPinch();
+            this.zoomAt(startScale * (pinch.distance / startDistance), {
+                from: startCenter,
+                to: pinch.center,
+                start: startScale,
+                origin
+            });
+            this.render();
+            return;
+        }
+
+        const gesture = this.gesture;
+        const dx = e.clientX - gesture.startX;
+        const dy = e.clientY - gesture.startY;
+        const elapsed = Math.max(1, e.timeStamp - gesture.lastTime);
+        gesture.velocityX = (e.clientX - gesture.lastX) / elapsed;
+        gesture.velocityY = (e.clientY - gesture.lastY) / elapsed;
+        gesture.lastX = e.clientX;
+        gesture.lastY = e.clientY;
+        gesture.lastTime = e.timeStamp;
+
+        // Small wobbles still count as a tap
+        if (!gesture.moved && Math.hypot(dx, dy) < 10) return;
+        gesture.moved = true;
+
+        if (!gesture.type) {
+            if (this.scale > 1) gesture.type = 'pan';
+            else gesture.type = Math.abs(dx) > Math.abs(dy) ? 'swipe' : (dy > 0 ? 'dismiss' : 'none');
+        }
+
+        if (gesture.type === 'pan') {
+            this.x = gesture.originX + dx;
+            this.y = gesture.originY + dy;
+            this.clampPan();
+        } else if (gesture.type === 'swipe') {
+            this.x = dx;
+        } else if (gesture.type === 'dismiss') {
+            this.y = Math.max(0, dy);
+            if (this.backdrop) this.backdrop.style.opacity = String(Math.max(0.3, 1 - this.y / 400));
+        }
+        this.render();
+    }
+
+    handleUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+        const gesture = this.gesture;
+
+        if (gesture?.type === 'pinch') {
+            // Lifting one finger of a pinch carries on as a pan with the other
+            if (this.pointers.size === 1) {
+                const [remaining] = this.pointers.values();
+                this.gesture = {
+                    type: this.scale > 1 ? 'pan' : 'none',
+                    startX: remaining.clientX,
+                    startY: remaining.clientY,
+                    originX: this.x,
+                    originY: this.y,
+                    lastX: remaining.clientX,
+                    lastY: remaining.clientY,
+                    lastTime: e.timeStamp,
+                    velocityX: 0,
+                    velocityY: 0,
+                    moved: true
+                };
+            } else {
+                this.gesture = null;
+            }
+            this.lastTap = null;
+            return;
+        }
+
+        this.gesture = null;
+        if (!gesture || this.pointers.size) return;
+
+        // A cancelled pointer (the browser took over, e.g. for a system gesture) is
+        // neither a tap nor a fling; whatever it moved just settles back
+        const cancelled = e.type === 'pointercancel';
+        if (!gesture.moved) {
+            if (!cancelled) this.handleTap(e);
+            return;
+        }
+
+        // The last move only says how fast the finger was going if it was recent;
+        // a finger that stopped and held before lifting has no speed left
+        const stale = e.timeStamp - gesture.lastTime > CONSTANTS.LIGHTBOX_VELOCITY_WINDOW;
+        const velocityX = stale ? 0 : gesture.velocityX;
+        const velocityY = stale ? 0 : gesture.velocityY;
+
+        const distance = CONSTANTS.LIGHTBOX_SWIPE_DISTANCE;
+        const isFling = (offset, velocity) => Math.abs(offset) > distance || (Math.abs(velocity) > 0.5 && Math.abs(offset) > distance / 3);
+
+        if (gesture.type === 'pan') {
+            if (!cancelled) this.startMomentum(velocityX, velocityY);
+        } else if (!cancelled && gesture.type === 'swipe' && isFling(this.x, velocityX)) {
+            this.onSwipe(this.x < 0 ? 'next' : 'prev');
+        } else if (!cancelled && gesture.type === 'dismiss' && isFling(this.y, velocityY) && this.y > 0) {
+            this.onDismiss();
+        } else {
+            // Not far enough: spring back to where it was
+            this.x = 0;
+            this.y = 0;
+            if (this.backdrop) this.backdrop.style.opacity = '';
+            this.render({ settle: true });
+        }
+    }
+
+    // A second tap close in time and place toggles between normal size and a close-up
+    handleTap(e) {
+        const tap = { time: e.timeStamp, clientX: e.clientX, clientY: e.clientY };
+        const previous = this.lastTap;
+        this.lastTap = tap;
+
+        if (!previous || tap.time - previous.time > 300 ||
+            Math.hypot(tap.clientX - previous.clientX, tap.clientY - previous.clientY) > 30) return;
+
+        this.lastTap = null;
+        if (this.scale > 1) {
+            this.scale = 1;
+            this.x = 0;
+            this.y = 0;
+        } else {
+            this.zoomAt(CONSTANTS.LIGHTBOX_DOUBLE_TAP_ZOOM, { from: this.getOffset(tap) });
+        }
+        this.render({ settle: true });
+    }
+
+    // Keep gliding after a quick pan, slowing down and stopping at the edges
+    startMomentum(velocityX, velocityY) {
+        if (this.prefersReducedMotion()) return;
+
+        let vx = velocityX;
+        let vy = velocityY;
+        let last = performance.now();
+
+        const step = (now) => {
+            const elapsed = now - last;
+            last = now;
+            const before = { x: this.x, y: this.y };
+
+            this.x += vx * elapsed;
+            this.y += vy * elapsed;
+            this.clampPan();
+            this.render();
+
+            // Friction, and no sliding along an edge that has been reached
+            const friction = Math.pow(0.95, elapsed / 16);
+            vx = this.x === before.x + vx * elapsed ? vx * friction : 0;
+            vy = this.y === before.y + vy * elapsed ? vy * friction : 0;
+
+            if (Math.abs(vx) > 0.02 || Math.abs(vy) > 0.02) {
+                this.momentumFrame = requestAnimationFrame(step);
+            }
         };
-        
-        this.init();
+        this.momentumFrame = requestAnimationFrame(step);
     }
+}
 
-    init() {
-        if (!this.form) return;
+// ===== COMPARISON SLIDER =====
+// A before and an after image stacked in one frame, with a divider that can be
+// dragged with a mouse or finger, or moved with the arrow keys once it has focus.
+// The position is the share of the frame, from the left, showing the before image.
+class ComparisonSlider {
+    constructor(element, { tapToMove = false, handleOnly = false } = {}) {
+        this.element = element;
+        this.handle = element.querySelector('.comparison-handle');
+        // In the grid a tap opens the lightbox; only a drag moves the divider there
+        this.tapToMove = tapToMove;
+        // In the lightbox only the handle can be dragged, so a drag across the
+        // photo is still a swipe to the next one
+        this.handleOnly = handleOnly;
+        this.position = 50;
+        this.drag = null;
+        this.suppressClick = false;
 
-        // Form submission
-        this.form.addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleSubmit();
-        });
+        this.init();
+    }
 
-        // Real-time validation
-        Object.keys(this.fieldRules).forEach(fieldId => {
-            const field = document.getElementById(fieldId);
-            if (field) {
-                field.addEventListener('blur', () => {
-                    this.validator.validateField(field, this.fieldRules[fieldId]);
-                });
-                
-                field.addEventListener('input', utils.debounce(() => {
-                    if (field.getAttribute('aria-invalid') === 'true') {
-                        this.validator.validateField(field, this.fieldRules[fieldId]);
-                    }
-                }, 300));
-            }
+    // Shared markup for the grid and the lightbox; the after image goes first so
+    // code looking for an item's main image still finds it
+    static create(after, before) {
+        const element = document.createElement('div');
+        element.className = 'comparison';
+
+        const beforeFrame = document.createElement('div');
+        beforeFrame.className = 'comparison-before';
+        beforeFrame.appendChild(before);
+
+        const labels = [['before', 'Before'], ['after', 'After']].map(([side, text]) => {
+            const label = document.createElement('span');
+            label.className = `comparison-label comparison-label-${side}`;
+            label.textContent = text;
+            label.dataset.i18n = `gallery.${side}`;
+            label.setAttribute('aria-hidden', 'true');
+            return label;
         });
 
-        // Phone number formatting (optional field)
-        const phoneField = document.getElementById('contactPhone');
-        if (phoneField) {
-            phoneField.addEventListener('input', (e) => {
-                let value = e.target.value.replace(/\D/g, '');
-                if (value.length > 0) {
-                    if (value.startsWith('91') && value.length === 12) {
-                        value = value.substring(2);
-                    }
-                    if (value.length === 10) {
-                        e.target.value = `+91 ${value.substring(0, 5)} ${value.substring(5)}`;
-                    }
-                }
+        const handle = document.createElement('div');
+        handle.className = 'comparison-handle';
+        handle.tabIndex = 0;
+        handle.setAttribute('role', 'slider');
+        handle.setAttribute('aria-orientation', 'horizontal');
+        handle.setAttribute('aria-valuemin', '0');
+        handle.setAttribute('aria-valuemax', '100');
+        handle.setAttribute('aria-label', 'Before and after comparison');
+        handle.dataset.i18nAttr = 'aria-label:gallery.compare';
+
+        element.append(after, beforeFrame, ...labels, handle);
+        return element;
+    }
+
+    init() {
+        if (!this.handle) return;
+
+        this.handle.addEventListener('keydown', (e) => this.handleKey(e));
+
+        if (window.PointerEvent) {
+            this.element.addEventListener('pointerdown', (e) => this.handleDown(e));
+            this.element.addEventListener('pointermove', (e) => this.handleMove(e));
+            ['pointerup', 'pointercancel'].forEach(type => {
+                this.element.addEventListener(type, (e) => this.handleUp(e));
             });
         }
+
+        // The click that ends a drag shouldn't also open the lightbox
+        this.element.addEventListener('click', (e) => {
+            if (!this.suppressClick) return;
+            this.suppressClick = false;
+            e.stopPropagation();
+            e.preventDefault();
+        }, true);
+        this.element.addEventListener('dragstart', (e) => e.preventDefault());
+
+        document.addEventListener('i18n:change', () => this.setPosition(this.position));
+        this.setPosition(this.position);
     }
 
-    async handleSubmit() {
-        // Validate form
-        const isValid = this.validator.validateForm(this.form, this.fieldRules);
-        
-        if (!isValid) {
-            this.toast.show('Please correct the errors in the form', 'error');
-            
-            // Focus first error field
-            const firstError = this.form.querySelector('[aria-invalid="true"]');
-            if (firstError) {
-                firstError.focus();
-            }
-            return;
-        }
+    setPosition(value) {
+        this.position = Math.round(Math.min(100, Math.max(0, value)));
+        this.element.style.setProperty('--comparison-position', `${this.position}%`);
+        this.handle.setAttribute('aria-valuenow', String(this.position));
+        this.handle.setAttribute('aria-valuetext', i18n.t('gallery.comparePosition', {
+            before: this.position,
+            after: 100 - this.position
+        }));
+    }
 
-        // Show loading state
-        const submitBtn = this.form.querySelector('button[type="submit"]');
-        this.setLoadingState(submitBtn, true);
+    positionAt(clientX) {
+        const rect = this.element.getBoundingClientRect();
+        return rect.width ? ((clientX - rect.left) / rect.width) * 100 : this.position;
+    }
 
-        try {
-            // Simulate API call
-            await this.simulateContactSubmission();
-            
-            // Get form data
-            const formData = new FormData(this.form);
-            const contactData = Object.fromEntries(formData.entries());
-            
-            // Store contact message for demo purposes
-            this.storeContactMessage(contactData);
-            
-            // Show success message
-            this.toast.show(
-                'Thank you for your message! We\'ll get back to you within 24 hours.',
-                'success',
-                5000
-            );
-            
-            // Reset form
-            this.form.reset();
-            
-        } catch (error) {
-            this.toast.show('Something went wrong. Please try again or call us directly.', 'error');
-            console.error('Contact form error:', error);
-        } finally {
-            this.setLoadingState(submitBtn, false);
-        }
+    handleKey(e) {
+        const step = CONSTANTS.COMPARISON_KEY_STEP;
+        const moves = {
+            ArrowLeft: this.position - step,
+            ArrowDown: this.position - step,
+            ArrowRight: this.position + step,
+            ArrowUp: this.position + step,
+            PageDown: this.position - step * 4,
+            PageUp: this.position + step * 4,
+            Home: 0,
+            End: 100
+        };
+        if (!(e.key in moves)) return;
+
+        // Keep the arrows from also changing photo in the lightbox
+        e.preventDefault();
+        e.stopPropagation();
+        this.setPosition(moves[e.key]);
     }
 
-    setLoadingState(button, loading) {
-        if (!button) return;
-        
-        const btnText = button.querySelector('.btn-text');
-        const btnLoading = button.querySelector('.btn-loading');
-        
-        if (loading) {
-            button.classList.add('loading');
-            button.disabled = true;
-            if (btnText) btnText.style.display = 'none';
-            if (btnLoading) btnLoading.style.display = 'inline-flex';
-        } else {
-            button.classList.remove('loading');
-            button.disabled = false;
-            if (btnText) btnText.style.display = 'inline-flex';
-            if (btnLoading) btnLoading.style.display = 'none';
-        }
+    handleDown(e) {
+        if (this.drag || e.button > 0) return;
+        this.suppressClick = false;
+
+        // Grabbing the handle itself starts a drag straight away
+        const onHandle = this.handle.contains(e.target);
+        this.drag = { id: e.pointerId, startX: e.clientX, moved: onHandle };
+        this.element.setPointerCapture?.(e.pointerId);
+        if (onHandle) e.preventDefault();
     }
 
-    async simulateContactSubmission() {
-        return new Promise((resolve) => {
-            setTimeout(resolve, CONSTANTS.CONTACT_SIMULATION_DELAY);
-        });
+    handleMove(e) {
+        if (!this.drag || e.pointerId !== this.drag.id) return;
+
+        if (!this.drag.moved) {
+            if (Math.abs(e.clientX - this.drag.startX) < 5) return;
+            if (this.handleOnly) {
+                this.drag = null;
+                return;
+            }
+            this.drag.moved = true;
+        }
+        this.setPosition(this.positionAt(e.clientX));
     }
 
-    storeContactMessage(data) {
-        try {
-            const messages = JSON.parse(localStorage.getItem('cutCrownMessages') || '[]');
-            messages.push({
-                ...data,
-                id: utils.generateId(),
-                timestamp: new Date().toISOString(),
-                status: 'new'
-            });
-            localStorage.setItem('cutCrownMessages', JSON.stringify(messages));
-        } catch (error) {
-            console.warn('Could not store message locally:', error);
+    handleUp(e) {
+        if (!this.drag || e.pointerId !== this.drag.id) return;
+
+        const { moved } = this.drag;
+        this.drag = null;
+        if (e.type === 'pointercancel') return;
+
+        if (moved) {
+            this.suppressClick = true;
+            this.handle.focus({ preventScroll: true });
+        } else if (this.tapToMove) {
+            this.setPosition(this.positionAt(e.clientX));
         }
     }
 }
@@ -796,74 +6833,343 @@ class ContactManager {
 class GalleryManager {
     constructor() {
         this.filterButtons = document.querySelectorAll('.filter-btn');
-        this.galleryItems = document.querySelectorAll('.gallery-item');
+        this.container = document.querySelector('.gallery-container');
+        this.status = document.querySelector('.gallery-status');
+        this.moreButton = document.querySelector('.gallery-more-btn');
         this.lightbox = document.getElementById('lightbox');
         this.lightboxImage = document.getElementById('lightbox-image');
         this.lightboxTitle = document.getElementById('lightbox-title');
         this.lightboxDescription = document.getElementById('lightbox-description');
+        this.lightboxCounter = document.getElementById('lightbox-counter');
+        this.playButton = document.querySelector('.lightbox-play');
+        this.intervalSelect = document.querySelector('.lightbox-interval');
+        this.intervalKey = 'cutCrownSlideshowInterval';
         
+        this.images = [];
+        this.filter = 'all';
+        this.shownCount = CONSTANTS.GALLERY_PAGE_SIZE;
+        this.imageObserver = null;
+        this.gestures = null;
+        this.comparison = null;
+        this.slideshowTimer = null;
+        this.interval = CONSTANTS.SLIDESHOW_DEFAULT_INTERVAL;
+        this.preloaded = new Set();
         this.currentIndex = 0;
-        this.filteredItems = Array.from(this.galleryItems);
+        this.filteredItems = [];
         
         this.init();
     }
 
+    // Items are added a page at a time, so always read the live list
+    get galleryItems() {
+        return Array.from(this.container?.querySelectorAll('.gallery-item') || []);
+    }
+
     init() {
-        if (!this.filterButtons.length && !this.galleryItems.length) return;
+        if (!this.container) return;
 
-        // Filter functionality
+        // Filter functionality; each filter gets its own history entry
         this.filterButtons.forEach(button => {
             button.addEventListener('click', () => {
                 const filter = button.dataset.filter;
-                this.filterGallery(filter);
-                this.updateActiveFilter(button);
+                if (filter === this.filter) return;
+                this.setFilter(filter);
+                this.updateUrl({ filter, photo: null }, 'push');
             });
         });
 
-        // Gallery item click handlers
-        this.galleryItems.forEach((item, index) => {
-            item.addEventListener('click', () => {
-                this.openLightbox(index);
-            });
-            
-            // Keyboard accessibility
-            item.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.openLightbox(index);
-                }
-            });
+        // One listener for every item, including ones rendered later
+        this.container.addEventListener('click', (e) => {
+            const item = e.target.closest('.gallery-item');
+            if (item) this.openFromGrid(item);
+        });
+
+        // Keyboard accessibility
+        this.container.addEventListener('keydown', (e) => {
+            const item = e.target.closest('.gallery-item');
+            if (item && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.openFromGrid(item);
+            }
         });
 
+        // Back and Forward move between filters and open or close the lightbox
+        window.addEventListener('popstate', () => this.applyUrlState());
+
         // Lightbox controls
         if (this.lightbox) {
             this.setupLightboxControls();
+            this.setupLightboxComparison();
+            this.gestures = new LightboxGestures([this.lightboxImage, this.comparison?.element], {
+                backdrop: this.lightbox,
+                ignore: '.comparison-handle',
+                onSwipe: (direction) => this.navigateLightbox(direction),
+                onDismiss: () => this.closeLightbox()
+            });
+            this.setupSlideshow();
         }
 
         // Lazy loading for gallery images
         this.setupLazyLoading();
+        this.setupLoadMore();
+
+        document.addEventListener('i18n:change', () => {
+            this.updateStatus();
+            this.updateCounter();
+        });
+
+        this.loadManifest();
+    }
+
+    async loadManifest() {
+        try {
+            const response = await fetch(this.container.dataset.manifest);
+            if (!response.ok) throw new Error(`Gallery manifest returned ${response.status}`);
+
+            const { images = [] } = await response.json();
+            this.images = images;
+            this.applyUrlState();
+        } catch (error) {
+            console.error('Could not load gallery:', error);
+            this.status.textContent = i18n.t('gallery.loadError');
+            this.status.dataset.error = '';
+        } finally {
+            this.container.removeAttribute('aria-busy');
+        }
+    }
+
+    // e.g. gallery.html?filter=beards&photo=mustache-grooming
+    getUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const filter = params.get('filter');
+        const isFilter = [...this.filterButtons].some(button => button.dataset.filter === filter);
+        return { filter: isFilter ? filter : 'all', photo: params.get('photo') };
+    }
+
+    // 'push' adds a history entry; anything else rewrites the current one
+    updateUrl({ filter = this.filter, photo = this.getOpenPhotoId() } = {}, mode = 'replace', state = null) {
+        const url = new URL(window.location.href);
+        [['filter', filter !== 'all' && filter], ['photo', photo]].forEach(([name, value]) => {
+            if (value) url.searchParams.set(name, value);
+            else url.searchParams.delete(name);
+        });
+
+        if (mode === 'push') {
+            history.pushState(state, '', url);
+        } else {
+            history.replaceState(state ?? history.state, '', url);
+        }
+    }
+
+    // Show whatever the address bar describes, without adding history of its own
+    applyUrlState() {
+        const { filter, photo } = this.getUrlState();
+        if (filter !== this.filter || !this.galleryItems.length) this.setFilter(filter);
+
+        if (photo && this.showPhoto(photo)) return;
+        if (photo) this.updateUrl({ photo: null });
+        if (this.isLightboxOpen()) this.closeLightbox({ fromHistory: true });
+    }
+
+    setFilter(filter) {
+        this.filterGallery(filter);
+        const button = [...this.filterButtons].find(candidate => candidate.dataset.filter === filter);
+        if (button) this.updateActiveFilter(button);
+    }
+
+    // Opens a photo by id, switching to "All" or loading more pages if it isn't on screen yet
+    showPhoto(id) {
+        if (!this.images.some(image => image.id === id)) return false;
+        // A photo outside the current filter is shown under "All", and the address says so
+        if (!this.getMatchingImages().some(image => image.id === id)) {
+            this.setFilter('all');
+            this.updateUrl({ filter: 'all', photo: id });
+        }
+
+        const position = this.getMatchingImages().findIndex(image => image.id === id);
+        if (position >= this.shownCount) {
+            this.shownCount = Math.ceil((position + 1) / CONSTANTS.GALLERY_PAGE_SIZE) * CONSTANTS.GALLERY_PAGE_SIZE;
+            this.renderMore();
+        }
+
+        const item = this.galleryItems.find(candidate => candidate.dataset.id === id);
+        this.openLightbox(this.filteredItems.indexOf(item));
+        return true;
+    }
+
+    // Opening from the grid is a history entry, so Back closes the lightbox again
+    openFromGrid(item) {
+        const index = this.filteredItems.indexOf(item);
+        if (index === -1) return;
+
+        this.openLightbox(index);
+        this.updateUrl({}, 'push', { lightbox: true });
+    }
+
+    getOpenPhotoId() {
+        return this.isLightboxOpen() ? this.filteredItems[this.currentIndex]?.dataset.id || null : null;
+    }
+
+    isLightboxOpen() {
+        return Boolean(this.lightbox?.classList.contains('active'));
+    }
+
+    getMatchingImages() {
+        return this.images.filter(image => this.filter === 'all' || image.category === this.filter);
+    }
+
+    // Render in manifest order until the current filter has shownCount items on screen
+    renderMore() {
+        const rendered = new Set(this.galleryItems.map(item => item.dataset.id));
+        const target = this.getMatchingImages().slice(0, this.shownCount).map(image => image.id);
+        const last = this.images.findIndex(image => image.id === target[target.length - 1]);
+
+        this.images.slice(0, last + 1)
+            .filter(image => !rendered.has(image.id))
+            .forEach(image => this.container.appendChild(this.createItem(image)));
+
+        this.applyFilter();
+        this.updateStatus();
+    }
+
+    createItem(image) {
+        const item = document.createElement('div');
+        item.className = 'gallery-item';
+        item.dataset.id = image.id;
+        item.dataset.category = image.category;
+        item.tabIndex = 0;
+        item.setAttribute('role', 'button');
+        // Shown by applyFilter once it's part of the current page
+        item.classList.add('hidden');
+        item.style.display = 'none';
+
+        const img = this.createImage(image);
+
+        const overlay = document.createElement('div');
+        overlay.className = 'gallery-overlay';
+        const title = document.createElement('h3');
+        title.className = 'gallery-title';
+        title.textContent = image.title;
+        const description = document.createElement('p');
+        description.className = 'gallery-description';
+        description.textContent = image.description;
+        if (image.messages?.title) title.dataset.i18n = image.messages.title;
+        if (image.messages?.description) description.dataset.i18n = image.messages.description;
+
+        overlay.append(title, description);
+
+        // Entries with a "before" shot become a comparison; the slider is the
+        // item's only tab stop, and Enter on it still opens the lightbox
+        if (image.before) {
+            const before = this.createImage(image.before);
+            item.classList.add('has-comparison');
+            item.removeAttribute('role');
+            item.removeAttribute('tabindex');
+            item.append(ComparisonSlider.create(img, before), overlay);
+            new ComparisonSlider(item.querySelector('.comparison'));
+            this.observeImage(before);
+        } else {
+            item.append(img, overlay);
+        }
+
+        i18n.translatePage(item);
+        this.observeImage(img);
+        return item;
+    }
+
+    // A lazy-loaded <img> for a manifest entry's sources, alt and alt message
+    createImage({ sources, alt, messages }) {
+        const widths = Object.keys(sources).map(Number).sort((a, b) => a - b);
+        const img = document.createElement('img');
+        img.alt = alt;
+        img.loading = 'lazy';
+        img.dataset.full = this.getFullSource(sources);
+        img.sizes = this.container.dataset.sizes || '100vw';
+        img.dataset.srcset = widths.map(width => `${sources[width]} ${width}w`).join(', ');
+        img.dataset.src = sources[widths[0]];
+        if (messages?.alt) img.dataset.i18nAttr = `alt:${messages.alt}`;
+        return img;
+    }
+
+    getFullSource(sources) {
+        return sources[Math.max(...Object.keys(sources).map(Number))];
+    }
+
+    // One comparison frame next to the lightbox image, shown instead of it for
+    // entries with a before shot; it zooms and swipes like the plain image, and
+    // only its handle moves the divider
+    setupLightboxComparison() {
+        if (!this.lightboxImage) return;
+
+        const frame = ComparisonSlider.create(document.createElement('img'), document.createElement('img'));
+        frame.classList.add('lightbox-comparison');
+        frame.hidden = true;
+        this.lightboxImage.after(frame);
+        i18n.translatePage(frame);
+        this.comparison = new ComparisonSlider(frame, { tapToMove: true, handleOnly: true });
+    }
+
+    updateStatus() {
+        if (!this.status || 'error' in this.status.dataset) return;
+
+        const total = this.getMatchingImages().length;
+        const shown = Math.min(this.shownCount, total);
+        this.status.textContent = total ? i18n.t('gallery.showing', { count: total, shown, total }) : i18n.t('gallery.empty');
+        if (this.moreButton) this.moreButton.hidden = shown >= total;
+    }
+
+    // The button works everywhere; where IntersectionObserver exists it also
+    // loads the next page by itself as the visitor scrolls down to it
+    setupLoadMore() {
+        if (!this.moreButton) return;
+
+        this.moreButton.addEventListener('click', () => this.showMore());
+
+        if ('IntersectionObserver' in window) {
+            const observer = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting) && !this.moreButton.hidden) {
+                    this.showMore();
+                }
+            }, { rootMargin: '200px' });
+            observer.observe(this.moreButton);
+        }
+    }
+
+    showMore() {
+        this.shownCount += CONSTANTS.GALLERY_PAGE_SIZE;
+        this.renderMore();
     }
 
     filterGallery(filter) {
+        this.filter = filter;
+        this.shownCount = CONSTANTS.GALLERY_PAGE_SIZE;
+        this.renderMore();
+    }
+
+    // Shows the first shownCount items in the current category and hides the rest
+    applyFilter() {
+        const visible = new Set(this.getMatchingImages().slice(0, this.shownCount).map(image => image.id));
+
         this.galleryItems.forEach(item => {
-            const category = item.dataset.category;
-            const shouldShow = filter === 'all' || category === filter;
+            const shouldShow = visible.has(item.dataset.id);
             
             if (shouldShow) {
                 item.classList.remove('hidden');
                 item.style.display = 'block';
-            } else {
+            } else if (!item.classList.contains('hidden')) {
                 item.classList.add('hidden');
                 setTimeout(() => {
                     if (item.classList.contains('hidden')) {
                         item.style.display = 'none';
                     }
                 }, 300);
+            } else {
+                item.style.display = 'none';
             }
         });
 
         // Update filtered items array for lightbox navigation
-        this.filteredItems = Array.from(this.galleryItems).filter(item => 
+        this.filteredItems = this.galleryItems.filter(item => 
             !item.classList.contains('hidden')
         );
     }
@@ -887,11 +7193,13 @@ class GalleryManager {
         if (!img) return;
 
         this.currentIndex = index;
+        this.gestures?.reset();
         
         // Set image and info
         const fullSrc = img.dataset.full || img.src;
         this.lightboxImage.src = fullSrc;
         this.lightboxImage.alt = img.alt;
+        this.showComparison(item.querySelector('.comparison-before img'), img);
         
         if (overlay) {
             const title = overlay.querySelector('.gallery-title');
@@ -906,9 +7214,20 @@ class GalleryManager {
             }
         }
 
+        // Store the element that opened the lightbox for focus return; a
+        // lightbox opened from the address bar returns focus to its photo
+        if (!this.isLightboxOpen()) {
+            const opener = document.activeElement;
+            this.previouslyFocusedElement = opener && opener !== document.body && !this.lightbox.contains(opener)
+                ? opener
+                : this.filteredItems[index];
+        }
+
         // Show lightbox
         this.lightbox.classList.add('active');
         this.lightbox.setAttribute('aria-hidden', 'false');
+        this.updateCounter();
+        this.preloadNeighbours();
         
         // Focus management
         const closeButton = this.lightbox.querySelector('.lightbox-close');
@@ -918,16 +7237,41 @@ class GalleryManager {
         
         // Prevent body scroll
         document.body.style.overflow = 'hidden';
-        
-        // Store the element that opened the lightbox for focus return
-        this.previouslyFocusedElement = document.activeElement;
     }
 
-    closeLightbox() {
-        if (!this.lightbox) return;
+    showComparison(before, after) {
+        if (!this.comparison) return;
+
+        const frame = this.comparison.element;
+        frame.hidden = !before;
+        this.lightboxImage.hidden = Boolean(before);
+        this.gestures?.setTarget(before ? frame : this.lightboxImage);
+        if (!before) return;
+
+        [[frame.querySelector('.comparison-before img'), before], [frame.querySelector('img'), after]]
+            .forEach(([target, source]) => {
+                target.src = source.dataset.full || source.src;
+                target.alt = source.alt;
+            });
+        this.comparison.setPosition(50);
+    }
 
+    // Closing steps back over the entry the lightbox added, or drops the photo from a shared link
+    closeLightbox({ fromHistory = false } = {}) {
+        if (!this.isLightboxOpen()) return;
+
+        if (!fromHistory) {
+            if (history.state?.lightbox) {
+                history.back();
+            } else {
+                this.updateUrl({ photo: null });
+            }
+        }
+
+        this.stopSlideshow();
         this.lightbox.classList.remove('active');
         this.lightbox.setAttribute('aria-hidden', 'true');
+        this.gestures?.reset();
         
         // Restore body scroll
         document.body.style.overflow = '';
@@ -939,12 +7283,116 @@ class GalleryManager {
         }
     }
 
+    // Where the open photo sits among everything in the current filter, loaded or not
+    getLightboxPosition() {
+        const matching = this.getMatchingImages();
+        return { matching, index: matching.findIndex(image => image.id === this.getOpenPhotoId()) };
+    }
+
+    // Steps through the whole filter, loading further pages as it reaches them
     navigateLightbox(direction) {
-        const newIndex = direction === 'next' 
-            ? (this.currentIndex + 1) % this.filteredItems.length
-            : (this.currentIndex - 1 + this.filteredItems.length) % this.filteredItems.length;
-            
-        this.openLightbox(newIndex);
+        const { matching, index } = this.getLightboxPosition();
+        if (index === -1) return;
+
+        const step = direction === 'next' ? 1 : -1;
+        this.showPhoto(matching[(index + step + matching.length) % matching.length].id);
+        this.updateUrl();
+
+        // A photo picked by hand gets the full interval before the slideshow moves on
+        if (this.slideshowTimer) this.scheduleSlide();
+    }
+
+    updateCounter() {
+        if (!this.lightboxCounter || !this.isLightboxOpen()) return;
+
+        const { matching, index } = this.getLightboxPosition();
+        this.lightboxCounter.textContent = index === -1
+            ? ''
+            : i18n.t('gallery.position', { current: index + 1, total: matching.length });
+    }
+
+    // Fetch the full-size photos either side so stepping through doesn't wait on the network
+    preloadNeighbours() {
+        const { matching, index } = this.getLightboxPosition();
+        if (index === -1 || matching.length < 2) return;
+
+        [matching[(index + 1) % matching.length], matching[(index - 1 + matching.length) % matching.length]]
+            .flatMap(image => [image.sources, image.before?.sources].filter(Boolean))
+            .map(sources => this.getFullSource(sources))
+            .filter(src => !this.preloaded.has(src))
+            .forEach(src => {
+                this.preloaded.add(src);
+                new Image().src = src;
+            });
+    }
+
+    setupSlideshow() {
+        if (!this.playButton) return;
+
+        const saved = storage.read(this.intervalKey, CONSTANTS.SLIDESHOW_DEFAULT_INTERVAL);
+        this.interval = CONSTANTS.SLIDESHOW_INTERVALS.includes(saved) ? saved : CONSTANTS.SLIDESHOW_DEFAULT_INTERVAL;
+
+        this.playButton.addEventListener('click', () => {
+            if (this.slideshowTimer) {
+                this.stopSlideshow();
+            } else {
+                this.startSlideshow();
+            }
+        });
+
+        if (this.intervalSelect) {
+            this.populateIntervals();
+            this.intervalSelect.addEventListener('change', () => {
+                this.interval = Number(this.intervalSelect.value);
+                storage.write(this.intervalKey, this.interval);
+                if (this.slideshowTimer) this.scheduleSlide();
+            });
+            document.addEventListener('i18n:change', () => this.populateIntervals());
+        }
+    }
+
+    populateIntervals() {
+        this.intervalSelect.innerHTML = '';
+        CONSTANTS.SLIDESHOW_INTERVALS.forEach(seconds => {
+            const label = i18n.t('gallery.intervalSeconds', { count: seconds });
+            this.intervalSelect.appendChild(new Option(label, seconds, false, seconds === this.interval));
+        });
+    }
+
+    startSlideshow() {
+        if (!this.isLightboxOpen()) return;
+
+        this.playButton.setAttribute('aria-pressed', 'true');
+        this.playButton.innerHTML = '&#10074;&#10074;';
+        // Announcing every automatic change would talk over the visitor
+        this.lightboxCounter?.setAttribute('aria-live', 'off');
+        this.scheduleSlide();
+    }
+
+    stopSlideshow() {
+        clearTimeout(this.slideshowTimer);
+        this.slideshowTimer = null;
+        if (!this.playButton) return;
+
+        this.playButton.setAttribute('aria-pressed', 'false');
+        this.playButton.innerHTML = '&#9654;';
+        this.lightboxCounter?.setAttribute('aria-live', 'polite');
+    }
+
+    scheduleSlide() {
+        clearTimeout(this.slideshowTimer);
+        this.slideshowTimer = setTimeout(() => this.advanceSlideshow(), this.interval * 1000);
+    }
+
+    // Cross-fades to the next photo, or just swaps it for visitors who prefer reduced motion
+    advanceSlideshow() {
+        const container = this.lightbox.querySelector('.lightbox-image-container');
+        if (container && !window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            container.classList.remove('is-fading');
+            void container.offsetWidth;
+            container.classList.add('is-fading');
+        }
+        this.navigateLightbox('next');
     }
 
     setupLightboxControls() {
@@ -983,6 +7431,8 @@ class GalleryManager {
         // Keyboard navigation
         document.addEventListener('keydown', (e) => {
             if (!this.lightbox.classList.contains('active')) return;
+            // The arrows belong to the interval picker while it has focus
+            if (e.key !== 'Escape' && e.target.matches?.('select')) return;
 
             switch (e.key) {
                 case 'Escape':
@@ -1007,9 +7457,9 @@ class GalleryManager {
         document.addEventListener('keydown', (e) => {
             if (!this.lightbox.classList.contains('active') || e.key !== 'Tab') return;
 
-            const focusableElements = this.lightbox.querySelectorAll(
+            const focusableElements = [...this.lightbox.querySelectorAll(
                 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-            );
+            )].filter(element => !element.closest('[hidden]'));
             
             const firstElement = focusableElements[0];
             const lastElement = focusableElements[focusableElements.length - 1];
@@ -1031,26 +7481,33 @@ class GalleryManager {
     setupLazyLoading() {
         // Simple lazy loading implementation
         if ('IntersectionObserver' in window) {
-            const imageObserver = new IntersectionObserver((entries) => {
+            this.imageObserver = new IntersectionObserver((entries) => {
                 entries.forEach(entry => {
                     if (entry.isIntersecting) {
-                        const img = entry.target;
-                        if (img.dataset.src) {
-                            img.src = img.dataset.src;
-                            img.removeAttribute('data-src');
-                            imageObserver.unobserve(img);
-                        }
+                        this.loadImage(entry.target);
+                        this.imageObserver.unobserve(entry.target);
                     }
                 });
             });
+        }
+    }
 
-            // Observe all gallery images
-            this.galleryItems.forEach(item => {
-                const img = item.querySelector('img');
-                if (img && img.dataset.src) {
-                    imageObserver.observe(img);
-                }
-            });
+    observeImage(img) {
+        if (this.imageObserver) {
+            this.imageObserver.observe(img);
+        } else {
+            this.loadImage(img);
+        }
+    }
+
+    loadImage(img) {
+        if (img.dataset.srcset) {
+            img.srcset = img.dataset.srcset;
+            img.removeAttribute('data-srcset');
+        }
+        if (img.dataset.src) {
+            img.src = img.dataset.src;
+            img.removeAttribute('data-src');
         }
     }
 }
@@ -1316,15 +7773,11 @@ class PerformanceMonitor {
     }
 
     storeMetrics(metrics) {
-        try {
-            localStorage.setItem('cutCrownPerformance', JSON.stringify({
-                ...metrics,
-                timestamp: new Date().toISOString(),
-                userAgent: navigator.userAgent
-            }));
-        } catch (error) {
-            console.warn('Could not store performance metrics:', error);
-        }
+        // Timings only: nothing that identifies the visitor or their browser
+        storage.write(privacy.performanceKey, {
+            ...metrics,
+            timestamp: new Date().toISOString()
+        });
     }
 }
 
@@ -1436,21 +7889,17 @@ class AccessibilityManager {
             link.addEventListener('click', () => {
                 const linkText = link.textContent.trim();
                 setTimeout(() => {
-                    this.announceToScreenReader(`Navigated to ${linkText}`);
+                    this.announceToScreenReader(i18n.t('a11y.navigatedTo', { page: linkText }));
                 }, 100);
             });
         });
     }
 
     enhanceFormAccessibility() {
-        // Add required field indicators
-        const requiredFields = document.querySelectorAll('input[required], select[required], textarea[required]');
-        requiredFields.forEach(field => {
-            const label = document.querySelector(`label[for="${field.id}"]`);
-            if (label && !label.textContent.includes('*')) {
-                label.innerHTML += ' <span class="required-indicator" aria-label="required">*</span>';
-            }
-        });
+        this.addRequiredIndicators();
+
+        // Translated labels lose their indicator, and the rest need the new wording
+        document.addEventListener('i18n:change', () => this.addRequiredIndicators());
 
         // Enhance error announcements
         const formInputs = document.querySelectorAll('.form-input');
@@ -1459,12 +7908,30 @@ class AccessibilityManager {
                 setTimeout(() => {
                     const errorElement = document.getElementById(`${input.id}-error`);
                     if (errorElement && errorElement.textContent) {
-                        this.announceToScreenReader(`Error: ${errorElement.textContent}`);
+                        this.announceToScreenReader(i18n.t('a11y.error', { message: errorElement.textContent }));
                     }
                 }, 100);
             });
         });
     }
+
+    addRequiredIndicators() {
+        const requiredFields = document.querySelectorAll('input[required], select[required], textarea[required]');
+        requiredFields.forEach(field => {
+            const label = document.querySelector(`label[for="${field.id}"]`);
+            if (!label) return;
+
+            let indicator = label.querySelector('.required-indicator');
+            if (!indicator) {
+                if (label.textContent.includes('*')) return;
+                indicator = document.createElement('span');
+                indicator.className = 'required-indicator';
+                indicator.textContent = '*';
+                label.append(' ', indicator);
+            }
+            indicator.setAttribute('aria-label', i18n.t('a11y.required'));
+        });
+    }
 }
 
 // ===== INITIALIZATION =====
@@ -1475,6 +7942,9 @@ class App {
     }
 
     async init() {
+        // Stored records are in memory before any component reads them
+        await storage.open();
+
         // Wait for DOM to be fully loaded
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', () => {
@@ -1487,11 +7957,23 @@ class App {
 
     initializeComponents() {
         try {
-            // Initialize core components
+            // Initialize core components; the page is translated before anything else renders
+            this.components.push(new LanguageManager());
             this.components.push(new ThemeManager());
             this.components.push(new NavigationManager());
             this.components.push(new BookingManager());
+            this.components.push(new ManageBookingManager());
+            this.components.push(new StaffDashboard());
             this.components.push(new ContactManager());
+            this.components.push(new FormController({
+                formId: 'newsletterForm',
+                spam: { kind: 'newsletter' },
+                submit: (data, options) => transports.get().createSubscription(data, options),
+                successMessage: 'newsletter.success',
+                queuedMessage: 'newsletter.queued'
+            }));
+            this.components.push(new OutboxManager());
+            this.components.push(new PrivacyManager());
             this.components.push(new GalleryManager());
             this.components.push(new FAQManager());
             this.components.push(new ServiceAnimations());
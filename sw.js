@@ -0,0 +1,270 @@
+// ===== CUT & CROWN SERVICE WORKER =====
+// Precaches the site for offline browsing and keeps booking/contact submissions
+// made while offline in an outbox until they can be delivered.
+
+const CACHE_VERSION = 'cut-crown-v3';
+const SYNC_TAG = 'cut-crown-outbox';
+const SENT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './about.html',
+    './services.html',
+    './gallery.html',
+    './gallery.json',
+    './contact.html',
+    './staff.html',
+    './style.css',
+    './script.js'
+];
+
+// ===== OUTBOX STORAGE (IndexedDB) =====
+const outbox = {
+    dbName: 'cut-crown-sw',
+    storeName: 'outbox',
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async run(mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const result = callback(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(result?.result);
+            };
+            transaction.onerror = () => {
+                db.close();
+                reject(transaction.error);
+            };
+        });
+    },
+
+    async all() {
+        const items = await this.run('readonly', store => store.getAll());
+        return (items || []).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    put(item) {
+        return this.run('readwrite', store => store.put(item));
+    },
+
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+};
+
+// ===== HELPERS =====
+// Only submissions from the site's HTTP transport carry an Idempotency-Key,
+// which also makes them safe to replay
+function isQueueableSubmission(request) {
+    return request.method === 'POST' && request.headers.has('Idempotency-Key');
+}
+
+function getSubmissionKind(url) {
+    if (/\/bookings\/?$/.test(new URL(url).pathname)) return 'booking';
+    if (/\/booking-groups\/?$/.test(new URL(url).pathname)) return 'bookingGroup';
+    if (/\/booking-series\/?$/.test(new URL(url).pathname)) return 'bookingSeries';
+    if (/\/messages\/?$/.test(new URL(url).pathname)) return 'message';
+    if (/\/subscriptions\/?$/.test(new URL(url).pathname)) return 'subscription';
+    return 'other';
+}
+
+async function notifyClients() {
+    const items = await outbox.all();
+    const clients = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'OUTBOX_UPDATED', items }));
+}
+
+function jsonResponse(body, status) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+// ===== LIFECYCLE =====
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key !== CACHE_VERSION)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ===== FETCH HANDLING =====
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    if (isQueueableSubmission(request)) {
+        event.respondWith(sendOrQueue(request));
+        return;
+    }
+
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+// Pages: fresh when online, cached copy (or the home page) when offline
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        const cache = await caches.open(CACHE_VERSION);
+        cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        return cached || caches.match('./index.html');
+    }
+}
+
+// Assets: answer from cache straight away and refresh it in the background
+async function staleWhileRevalidate(request) {
+    const cached = await caches.match(request);
+    const refresh = fetch(request)
+        .then(async response => {
+            if (response.ok) {
+                const cache = await caches.open(CACHE_VERSION);
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        // Offline with nothing cached: a network error the page can handle, not undefined
+        .catch(() => cached || Response.error());
+
+    return cached || refresh;
+}
+
+async function sendOrQueue(request) {
+    const body = await request.clone().text();
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const item = {
+            id: request.headers.get('Idempotency-Key'),
+            kind: getSubmissionKind(request.url),
+            url: request.url,
+            method: request.method,
+            headers: {
+                'Content-Type': request.headers.get('Content-Type') || 'application/json',
+                'Accept': 'application/json',
+                'Idempotency-Key': request.headers.get('Idempotency-Key')
+            },
+            body,
+            status: 'pending',
+            createdAt: new Date().toISOString()
+        };
+
+        await outbox.put(item);
+        if (self.registration.sync) {
+            await self.registration.sync.register(SYNC_TAG).catch(() => {});
+        }
+        await notifyClients();
+
+        return jsonResponse({ queued: true, queueId: item.id }, 202);
+    }
+}
+
+// ===== OUTBOX REPLAY =====
+let replaying = null;
+
+function replayOutbox() {
+    // Background sync and the page's online event can fire together
+    if (!replaying) {
+        replaying = doReplay().finally(() => {
+            replaying = null;
+        });
+    }
+    return replaying;
+}
+
+async function doReplay() {
+    const items = await outbox.all();
+    const now = Date.now();
+
+    for (const item of items) {
+        if (item.status === 'sent' && now - Date.parse(item.sentAt) > SENT_RETENTION_MS) {
+            await outbox.delete(item.id);
+            continue;
+        }
+        if (item.status !== 'pending') continue;
+
+        let response;
+        try {
+            response = await fetch(item.url, {
+                method: item.method,
+                headers: item.headers,
+                body: item.body
+            });
+        } catch (error) {
+            // Still offline: keep everything for the next attempt
+            break;
+        }
+
+        const result = await response.json().catch(() => null);
+
+        if (response.ok) {
+            await outbox.put({ ...item, status: 'sent', sentAt: new Date().toISOString(), result });
+        } else if (response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429) {
+            await outbox.put({
+                ...item,
+                status: 'failed',
+                failedAt: new Date().toISOString(),
+                error: { status: response.status, message: result?.message || null }
+            });
+        } else {
+            break;
+        }
+    }
+
+    await notifyClients();
+}
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(replayOutbox());
+    }
+});
+
+self.addEventListener('message', (event) => {
+    const { type, id } = event.data || {};
+
+    if (type === 'REPLAY_OUTBOX') {
+        event.waitUntil(replayOutbox());
+    } else if (type === 'GET_OUTBOX') {
+        event.waitUntil(notifyClients());
+    } else if (type === 'DISMISS_OUTBOX_ITEM' && id) {
+        event.waitUntil(outbox.delete(id).then(notifyClients));
+    }
+});